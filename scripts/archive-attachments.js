@@ -0,0 +1,201 @@
+/**
+ * scripts/archive-attachments.js
+ *
+ * Copies conversation attachments into Supabase Storage before Intercom's signed
+ * urls expire, and purges archived files past the retention period:
+ * - Archive: conversation_attachments rows with no storage_path (newest first) are
+ *   downloaded and uploaded to
+ *   <bucket>/<workspace_id>/<conversation_id>/<part_id>/<position>-<name>
+ * - Failed downloads (typically an expired url) are counted in archive_attempts and
+ *   retried on later runs. The sync doesn't refetch unchanged conversations, so a
+ *   retry first refetches the conversation from Intercom for a fresh signed url
+ * - Retention: files for parts older than ATTACHMENT_RETENTION_DAYS are removed from
+ *   the bucket (metadata rows are kept, with purged_at set)
+ * - Works on the rows of one workspace (INTERCOM_WORKSPACE)
+ *
+ * Required env:
+ *   SUPABASE_URL
+ *   SUPABASE_SERVICE_ROLE_KEY
+ *   INTERCOM_ACCESS_TOKEN (or the tokenEnv of INTERCOM_WORKSPACE in src/lib/workspaces.js)
+ *
+ * Optional env:
+ *   ATTACHMENTS_BUCKET (default "intercom-attachments")
+ *   MAX_ATTACHMENTS (default 200)            // archived per run
+ *   MAX_ATTACHMENT_BYTES (default 26214400)  // larger files are skipped
+ *   MAX_ARCHIVE_ATTEMPTS (default 5)
+ *   ATTACHMENT_RETENTION_DAYS (default 365; 0 keeps files forever)
+ */
+
+import { supabase, upsertConversationAttachments } from "../src/lib/supabase.js";
+import { WORKSPACE_ID } from "../src/lib/workspaces.js";
+import { getConversation, IntercomAuthError } from "../src/lib/intercom.js";
+import { buildAttachmentRows } from "../src/lib/extract.js";
+
+const BUCKET = process.env.ATTACHMENTS_BUCKET || "intercom-attachments";
+const MAX_ATTACHMENTS = Number(process.env.MAX_ATTACHMENTS ?? "200");
+const MAX_ATTACHMENT_BYTES = Number(process.env.MAX_ATTACHMENT_BYTES ?? String(25 * 1024 * 1024));
+const MAX_ARCHIVE_ATTEMPTS = Number(process.env.MAX_ARCHIVE_ATTEMPTS ?? "5");
+const ATTACHMENT_RETENTION_DAYS = Number(process.env.ATTACHMENT_RETENTION_DAYS ?? "365");
+
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const PURGE_PAGE_SIZE = 100;
+
+function safeName(name) {
+  return String(name || "file").replace(/[^\w.\-]+/g, "_").slice(0, 120);
+}
+
+function storagePathFor(row) {
+  return `${WORKSPACE_ID}/${row.conversation_id}/${row.part_id}/${row.position}-${safeName(row.name)}`;
+}
+
+async function download(url) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`download failed: HTTP ${res.status}`);
+
+    const buf = Buffer.from(await res.arrayBuffer());
+    return { buf, contentType: res.headers.get("content-type") };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function retentionCutoffIso() {
+  return new Date(Date.now() - ATTACHMENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Current signed url of the row's attachment, from a fresh fetch of its conversation
+ * (also written back to conversation_attachments). One fetch per conversation per run.
+ */
+async function refreshedUrl(row, cache) {
+  if (!cache.has(row.conversation_id)) {
+    const conversation = await getConversation(row.conversation_id);
+    const rows = conversation ? buildAttachmentRows(conversation) : [];
+    await upsertConversationAttachments(rows);
+    cache.set(row.conversation_id, new Map(rows.map((r) => [`${r.part_id}#${r.position}`, r.url])));
+  }
+
+  const url = cache.get(row.conversation_id).get(`${row.part_id}#${row.position}`);
+  if (!url) throw new Error("attachment is no longer on the Intercom conversation");
+  return url;
+}
+
+async function markRow(row, patch) {
+  const { error } = await supabase
+    .from("conversation_attachments")
+    .update(patch)
+    .eq("workspace_id", WORKSPACE_ID)
+    .eq("part_id", row.part_id)
+    .eq("position", row.position);
+  if (error) throw error;
+}
+
+async function archivePending() {
+  let q = supabase
+    .from("conversation_attachments")
+    .select("conversation_id, part_id, position, name, content_type, filesize, url, archive_attempts")
+    .eq("workspace_id", WORKSPACE_ID)
+    .is("storage_path", null)
+    .is("purged_at", null)
+    .not("url", "is", null)
+    .lt("archive_attempts", MAX_ARCHIVE_ATTEMPTS)
+    .order("part_created_at", { ascending: false, nullsFirst: false })
+    .limit(MAX_ATTACHMENTS);
+
+  // Nothing older than the retention window is worth archiving
+  if (ATTACHMENT_RETENTION_DAYS > 0) q = q.gte("part_created_at", retentionCutoffIso());
+
+  const { data: rows, error } = await q;
+  if (error) throw error;
+
+  let archived = 0;
+  let skipped = 0;
+  let failed = 0;
+  const refreshed = new Map();
+
+  for (const row of rows ?? []) {
+    if (row.filesize && row.filesize > MAX_ATTACHMENT_BYTES) {
+      skipped++;
+      await markRow(row, {
+        archive_attempts: MAX_ARCHIVE_ATTEMPTS,
+        archive_error: `skipped: ${row.filesize} bytes exceeds MAX_ATTACHMENT_BYTES`,
+      });
+      continue;
+    }
+
+    try {
+      const url = row.archive_attempts > 0 ? await refreshedUrl(row, refreshed) : row.url;
+      const { buf, contentType } = await download(url);
+      if (buf.length > MAX_ATTACHMENT_BYTES) throw new Error(`${buf.length} bytes exceeds MAX_ATTACHMENT_BYTES`);
+
+      const path = storagePathFor(row);
+      const { error: upErr } = await supabase.storage.from(BUCKET).upload(path, buf, {
+        contentType: row.content_type || contentType || "application/octet-stream",
+        upsert: true,
+      });
+      if (upErr) throw upErr;
+
+      await markRow(row, { storage_path: path, archived_at: new Date().toISOString(), archive_error: null });
+      archived++;
+    } catch (e) {
+      if (e instanceof IntercomAuthError) throw e;
+      failed++;
+      console.error(`Attachment ${row.part_id}#${row.position}: ${e?.message ?? e}`);
+      await markRow(row, {
+        archive_attempts: (row.archive_attempts ?? 0) + 1,
+        archive_error: String(e?.message ?? e).slice(0, 500),
+      });
+    }
+  }
+
+  return { candidates: rows?.length ?? 0, archived, skipped, failed };
+}
+
+async function purgeExpired() {
+  if (!(ATTACHMENT_RETENTION_DAYS > 0)) return 0;
+
+  let purged = 0;
+  for (;;) {
+    const { data: rows, error } = await supabase
+      .from("conversation_attachments")
+      .select("part_id, position, storage_path")
+      .eq("workspace_id", WORKSPACE_ID)
+      .not("storage_path", "is", null)
+      .lt("part_created_at", retentionCutoffIso())
+      .limit(PURGE_PAGE_SIZE);
+    if (error) throw error;
+    if (!rows?.length) break;
+
+    const { error: rmErr } = await supabase.storage.from(BUCKET).remove(rows.map((r) => r.storage_path));
+    if (rmErr) throw rmErr;
+
+    for (const row of rows) {
+      await markRow(row, { storage_path: null, purged_at: new Date().toISOString() });
+    }
+    purged += rows.length;
+  }
+  return purged;
+}
+
+async function main() {
+  console.log("Attachment archive starting", {
+    WORKSPACE_ID,
+    BUCKET,
+    MAX_ATTACHMENTS,
+    MAX_ATTACHMENT_BYTES,
+    ATTACHMENT_RETENTION_DAYS,
+  });
+
+  const archive = await archivePending();
+  const purged = await purgeExpired();
+
+  console.log("Attachment archive finished", { ...archive, purged });
+}
+
+main().catch((e) => {
+  console.error(e?.message ?? e);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+/**
+ * scripts/backfill-conversation-statistics.js
+ *
+ * Backfills public.conversation_statistics for historical conversations:
+ * - Walks distinct replies.conversation_id in ascending order from a cursor in sync_state
+ * - Skips conversations that already have a statistics row
+ * - Fetches the rest from Intercom and upserts their `statistics` block
+ * - Writes GitHub Actions outputs (done, cursor)
+ * - Holds the 'stats_backfill' lease on sync_state while it moves the cursor
+ *
+ * Required env:
+ *   SUPABASE_URL
+ *   SUPABASE_SERVICE_ROLE_KEY
+ *   INTERCOM_ACCESS_TOKEN (or the tokenEnv of INTERCOM_WORKSPACE in src/lib/workspaces.js)
+ *
+ * Optional env:
+ *   MAX_CONVERSATIONS (default 500)   // conversations fetched from Intercom per run
+ *   INTERCOM_DELAY_MS (default 0)     // optional extra delay; pacing comes from the shared limiter
+ *   RESET_CURSOR ("true" to start again from the first conversation)
+ */
+
+import fs from "node:fs";
+import { supabase, getState, upsertConversationStatistics } from "../src/lib/supabase.js";
+import { WORKSPACE_ID } from "../src/lib/workspaces.js";
+import { withLease } from "../src/lib/lease.js";
+import { sleep } from "../src/lib/intercom.js";
+import { fetchConversationForSync } from "../src/lib/failures.js";
+import { buildStatisticsRow } from "../src/lib/extract.js";
+
+const MAX_CONVERSATIONS = Number(process.env.MAX_CONVERSATIONS ?? "500");
+const INTERCOM_DELAY_MS = Number(process.env.INTERCOM_DELAY_MS ?? "0");
+const RESET_CURSOR = String(process.env.RESET_CURSOR || "").toLowerCase() === "true";
+
+const SCAN_PAGE_SIZE = 1000;
+const CURSOR_KEY = "stats_bf_last_conversation_id";
+const LEASE_NAME = "stats_backfill";
+
+function writeGithubOutput(k, v) {
+  const outPath = process.env.GITHUB_OUTPUT;
+  if (!outPath) return;
+  fs.appendFileSync(outPath, `${k}=${String(v)}\n`);
+}
+
+/**
+ * Next page of distinct conversation ids after `afterId` (ascending).
+ * Returns { ids, exhausted }.
+ */
+async function nextConversationIds(afterId) {
+  let q = supabase
+    .from("replies")
+    .select("conversation_id")
+    .eq("workspace_id", WORKSPACE_ID)
+    .not("conversation_id", "is", null)
+    .order("conversation_id", { ascending: true })
+    .limit(SCAN_PAGE_SIZE);
+
+  if (afterId) q = q.gt("conversation_id", afterId);
+
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const ids = Array.from(new Set((data ?? []).map((r) => String(r.conversation_id))));
+  return { ids, exhausted: (data?.length ?? 0) < SCAN_PAGE_SIZE };
+}
+
+async function filterMissingStatistics(ids) {
+  if (!ids.length) return [];
+
+  const { data, error } = await supabase
+    .from("conversation_statistics")
+    .select("conversation_id")
+    .eq("workspace_id", WORKSPACE_ID)
+    .in("conversation_id", ids);
+
+  if (error) throw error;
+
+  const have = new Set((data ?? []).map((r) => String(r.conversation_id)));
+  return ids.filter((id) => !have.has(id));
+}
+
+async function backfill(lease) {
+  if (RESET_CURSOR) await lease.setState(CURSOR_KEY, "");
+
+  let cursor = (await getState(CURSOR_KEY)) || "";
+  console.log("Statistics backfill starting", { MAX_CONVERSATIONS, INTERCOM_DELAY_MS, cursor });
+
+  let fetched = 0;
+  let upserted = 0;
+  let noStats = 0;
+  let failed = 0;
+  let done = false;
+
+  while (fetched < MAX_CONVERSATIONS) {
+    const { ids, exhausted } = await nextConversationIds(cursor);
+    if (!ids.length) {
+      done = true;
+      break;
+    }
+
+    // Check in slices to keep the .in() filter URL short
+    for (let i = 0; i < ids.length && fetched < MAX_CONVERSATIONS; i += 100) {
+      const slice = ids.slice(i, i + 100);
+      const missing = new Set(await filterMissingStatistics(slice));
+
+      for (const conversationId of slice) {
+        if (fetched >= MAX_CONVERSATIONS) break;
+
+        if (missing.has(conversationId)) {
+          fetched++;
+          const full = await fetchConversationForSync(conversationId, "backfill_statistics");
+
+          if (!full) {
+            failed++;
+          } else {
+            const row = buildStatisticsRow(full);
+            if (row) {
+              await upsertConversationStatistics([row]);
+              upserted++;
+            } else {
+              noStats++;
+            }
+          }
+
+          if (INTERCOM_DELAY_MS > 0) await sleep(INTERCOM_DELAY_MS);
+        }
+
+        cursor = conversationId;
+      }
+
+      await lease.setState(CURSOR_KEY, cursor);
+    }
+
+    console.log(
+      `Progress: cursor=${cursor} fetched=${fetched} upserted=${upserted} no_stats=${noStats} failed=${failed}`
+    );
+
+    if (exhausted && cursor === ids[ids.length - 1]) {
+      done = true;
+      break;
+    }
+  }
+
+  console.log("Statistics backfill finished", { fetched, upserted, noStats, failed, cursor, done });
+
+  writeGithubOutput("done", done ? "true" : "false");
+  writeGithubOutput("cursor", cursor);
+}
+
+async function main() {
+  const ran = await withLease(LEASE_NAME, async (lease) => {
+    await backfill(lease);
+    return true;
+  });
+  if (!ran) writeGithubOutput("done", "false");
+}
+
+main().catch((e) => {
+  console.error(e?.message ?? e);
+  writeGithubOutput("done", "false");
+  process.exit(1);
+});
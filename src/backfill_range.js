@@ -0,0 +1,233 @@
+/**
+ * src/backfill_range.js
+ *
+ * Backfill (or re-pull) every conversation whose updated_at falls in [--from, --to):
+ * - Splits the range into time shards (--shard-days), each with its own search
+ *   cursor and done flag in sync_state (range_<job>_<shard start>_<shard end>_cursor
+ *   / _done), so only a shard covering exactly the same window is resumed
+ * - Works on up to --concurrency shards at once; Intercom pacing comes from the
+ *   shared rate limiter, so parallel shards stay inside the workspace allowance
+ * - Writes replies and the conversation-level tables like src/sync.js, skipping
+ *   conversations already stored at the same updated_at unless --force, and
+ *   honours INGEST_FILTERS (src/lib/filters.js)
+ * - Re-running the same range resumes unfinished shards; --reset starts over
+ *
+ * Usage:
+ *   npm run backfill:range -- --from 2025-01-01 --to 2026-01-01
+ *   npm run backfill:range -- --from 2026-03-02 --to 2026-03-09 --shard-days 1 --force
+ *
+ * Options:
+ *   --from, --to            ISO dates/timestamps (required; --to defaults to now)
+ *   --shard-days (default 7)
+ *   --concurrency (default 3)   // shards in flight
+ *   --max-conversations         // per run, across shards; unfinished shards resume next run
+ *   --job                       // state key name (default derived from --from/--to)
+ *   --force                     // re-fetch conversations even if unchanged
+ *   --reset                     // clear this job's shard cursors first
+ *
+ * Required env:
+ *   SUPABASE_URL
+ *   SUPABASE_SERVICE_ROLE_KEY
+ *   INTERCOM_ACCESS_TOKEN (or the tokenEnv of INTERCOM_WORKSPACE in src/lib/workspaces.js)
+ */
+
+import { parseArgs } from "node:util";
+import { getState, upsertReplies } from "./lib/supabase.js";
+import { withLease } from "./lib/lease.js";
+import { searchConversationsUpdatedBetween } from "./lib/intercom.js";
+import { fetchConversationForSync } from "./lib/failures.js";
+import { runWithAdaptiveConcurrency } from "./lib/ratelimit.js";
+import { ingestSearchFilters, applyIngestFilters } from "./lib/filters.js";
+import { buildReplyRows } from "./lib/extract.js";
+import {
+  newConversationBatch,
+  addConversation,
+  writeConversationBatch,
+  changedConversations,
+  rowsSince,
+} from "./lib/ingest.js";
+
+const SEARCH_PER_PAGE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      "shard-days": { type: "string", default: "7" },
+      concurrency: { type: "string", default: "3" },
+      "max-conversations": { type: "string" },
+      job: { type: "string" },
+      force: { type: "boolean", default: false },
+      reset: { type: "boolean", default: false },
+    },
+  });
+
+  const from = new Date(values.from ?? "");
+  const to = values.to ? new Date(values.to) : new Date();
+  if (Number.isNaN(from.getTime())) throw new Error("--from is required (ISO date or timestamp).");
+  if (Number.isNaN(to.getTime())) throw new Error(`Invalid --to: ${values.to}`);
+  if (from >= to) throw new Error("--from must be before --to.");
+
+  const shardDays = Number(values["shard-days"]);
+  if (!(shardDays > 0)) throw new Error(`Invalid --shard-days: ${values["shard-days"]}`);
+
+  const maxConversations = values["max-conversations"] ? Number(values["max-conversations"]) : Infinity;
+  const job =
+    values.job || `${from.toISOString().slice(0, 10)}_${values.to ? to.toISOString().slice(0, 10) : "now"}`;
+
+  return {
+    from,
+    to,
+    shardMs: shardDays * DAY_MS,
+    concurrency: Number(values.concurrency) || 1,
+    maxConversations,
+    job,
+    force: values.force,
+    reset: values.reset,
+  };
+}
+
+function buildShards(opts) {
+  const shards = [];
+  for (let t = opts.from.getTime(); t < opts.to.getTime(); t += opts.shardMs) {
+    const start = new Date(t);
+    const end = new Date(Math.min(t + opts.shardMs, opts.to.getTime()));
+    // The exact window is part of the key: a different --shard-days or --to (or a
+    // later "now") gives new shards instead of reusing another window's state
+    const prefix = `range_${opts.job}_${start.toISOString()}_${end.toISOString()}`;
+
+    shards.push({
+      start,
+      end,
+      cursorKey: `${prefix}_cursor`,
+      doneKey: `${prefix}_done`,
+      pages: 0,
+      processed: 0,
+      unchanged: 0,
+      filtered: 0,
+      rows: 0,
+      done: false,
+    });
+  }
+  return shards;
+}
+
+function shardLabel(shard) {
+  return `${shard.start.toISOString()}..${shard.end.toISOString()}`;
+}
+
+async function runShard(shard, opts, budget, lease) {
+  shard.done = String(await getState(shard.doneKey)).toLowerCase() === "true";
+  if (shard.done) return;
+
+  // Search bounds are inclusive; stop a second short so adjacent shards don't overlap
+  const startUnix = Math.floor(shard.start.getTime() / 1000);
+  const endUnix = Math.floor(shard.end.getTime() / 1000) - 1;
+  let startingAfter = (await getState(shard.cursorKey)) || null;
+
+  while (budget.remaining > 0) {
+    const searchResp = await searchConversationsUpdatedBetween(
+      startUnix,
+      endUnix,
+      SEARCH_PER_PAGE,
+      startingAfter,
+      ingestSearchFilters()
+    );
+
+    const { kept: convos, filtered } = applyIngestFilters(searchResp?.conversations);
+    shard.filtered += filtered;
+    const nextStartingAfter =
+      searchResp?.pages?.next?.starting_after ? String(searchResp.pages.next.starting_after) : null;
+
+    const { changed, skipped } = opts.force
+      ? { changed: convos.filter((c) => c?.id).map((c) => ({ id: String(c.id), since: null })), skipped: 0 }
+      : await changedConversations(convos);
+    shard.unchanged += skipped;
+
+    // Take the whole page so the cursor never skips part of it
+    budget.remaining -= changed.length;
+
+    const rows = [];
+    const batch = newConversationBatch();
+
+    for (const { id, since } of changed) {
+      const full = await fetchConversationForSync(id, "backfill_range");
+      if (!full) continue;
+
+      rows.push(...rowsSince(buildReplyRows(full), since));
+      addConversation(batch, full, { since });
+      shard.processed++;
+    }
+
+    if (rows.length) {
+      const { upserted } = await upsertReplies(rows);
+      shard.rows += upserted;
+    }
+    await writeConversationBatch(batch);
+
+    shard.pages++;
+    startingAfter = nextStartingAfter;
+    await lease.setState(shard.cursorKey, startingAfter || "");
+
+    console.log(
+      `Shard ${shardLabel(shard)}: pages=${shard.pages} processed=${shard.processed} unchanged=${shard.unchanged} filtered=${shard.filtered} rows=${shard.rows} next_cursor=${startingAfter || "none"}`
+    );
+
+    if (!nextStartingAfter) {
+      shard.done = true;
+      await lease.setState(shard.doneKey, "true");
+      return;
+    }
+  }
+}
+
+async function backfillRange(opts, lease) {
+  const shards = buildShards(opts);
+
+  if (opts.reset) {
+    for (const s of shards) {
+      await lease.setState(s.cursorKey, "");
+      await lease.setState(s.doneKey, "false");
+    }
+  }
+
+  console.log("Range backfill starting", {
+    job: opts.job,
+    from: opts.from.toISOString(),
+    to: opts.to.toISOString(),
+    shards: shards.length,
+    concurrency: opts.concurrency,
+    max_conversations: opts.maxConversations,
+    force: opts.force,
+  });
+
+  const budget = { remaining: opts.maxConversations };
+  await runWithAdaptiveConcurrency(shards, opts.concurrency, (shard) => runShard(shard, opts, budget, lease));
+
+  console.table(
+    shards.map((s) => ({
+      shard: shardLabel(s),
+      done: s.done,
+      pages: s.pages,
+      processed: s.processed,
+      unchanged: s.unchanged,
+      filtered: s.filtered,
+      rows: s.rows,
+    }))
+  );
+
+  const remaining = shards.filter((s) => !s.done).length;
+  console.log(remaining ? `Range backfill paused: ${remaining} shard(s) left; re-run to resume.` : "Range backfill complete.");
+}
+
+async function main() {
+  const opts = parseOptions();
+  await withLease(`range:${opts.job}`, (lease) => backfillRange(opts, lease));
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
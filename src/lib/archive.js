@@ -0,0 +1,38 @@
+import { gzipSync, gunzipSync } from "node:zlib";
+
+// ---------- Raw conversation archive ----------
+function epochToIso(ts) {
+  const n = ts ? Number(ts) : null;
+  return n ? new Date(n * 1000).toISOString() : null;
+}
+
+/**
+ * Build the `raw_conversations` row for a full conversation (as returned by
+ * getConversation, with every paginated part): the JSON gzipped and base64-encoded,
+ * keyed by conversation id + updated_at.
+ */
+export function buildRawConversationRow(conversation) {
+  const convoId = conversation?.id;
+  const updatedAt = epochToIso(conversation?.updated_at ?? conversation?.created_at);
+  if (!convoId || !updatedAt) return null;
+
+  const json = JSON.stringify(conversation);
+  const gz = gzipSync(json);
+
+  return {
+    conversation_id: String(convoId),
+    updated_at: updatedAt,
+    archived_at: new Date().toISOString(),
+    part_count: conversation?.conversation_parts?.conversation_parts?.length ?? 0,
+    raw_bytes: Buffer.byteLength(json),
+    payload_gz: gz.toString("base64"),
+  };
+}
+
+/**
+ * Decode a `raw_conversations` row back into the Intercom conversation object.
+ */
+export function decodeRawConversation(row) {
+  if (!row?.payload_gz) return null;
+  return JSON.parse(gunzipSync(Buffer.from(row.payload_gz, "base64")).toString("utf8"));
+}
@@ -0,0 +1,123 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { createGunzip } from "node:zlib";
+
+// ---------- Bulk export files ----------
+// Accepted inputs (each optionally gzipped, detected by magic bytes):
+// - .json: an array of conversations, or { conversations: [...] } / { data: [...] }
+// - .jsonl / .ndjson: one conversation per line
+// - a directory: every such file inside it, recursively, in name order
+// Zip archives must be extracted first; pass the extracted directory.
+const EXPORT_FILE_RE = /\.(json|jsonl|ndjson)(\.gz)?$/i;
+
+function toEpoch(v) {
+  if (v == null || v === "") return v;
+  if (typeof v === "number") return v;
+  if (/^\d+$/.test(String(v))) return Number(v);
+
+  const ms = Date.parse(v);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+function withEpochTimestamps(obj) {
+  if (!obj || typeof obj !== "object") return obj;
+  return { ...obj, created_at: toEpoch(obj.created_at), updated_at: toEpoch(obj.updated_at) };
+}
+
+/**
+ * Bring an exported conversation into the shape getConversation returns, so the
+ * extractors in ./extract.js apply unchanged: parts under
+ * conversation_parts.conversation_parts and epoch-second timestamps.
+ * Returns null for records that aren't conversations.
+ */
+export function normalizeExportedConversation(record) {
+  const c = record?.conversation ?? record;
+  if (!c?.id || (c.type && c.type !== "conversation")) return null;
+
+  const rawParts = Array.isArray(c.conversation_parts)
+    ? c.conversation_parts
+    : c.conversation_parts?.conversation_parts || [];
+  const parts = rawParts.map(withEpochTimestamps);
+
+  return {
+    ...withEpochTimestamps(c),
+    waiting_since: toEpoch(c.waiting_since),
+    snoozed_until: toEpoch(c.snoozed_until),
+    source: c.source ? withEpochTimestamps(c.source) : c.source,
+    conversation_parts: { type: "conversation_part.list", total_count: parts.length, conversation_parts: parts },
+  };
+}
+
+async function magicBytes(file) {
+  const fh = await fs.promises.open(file, "r");
+  try {
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(2), 0, 2, 0);
+    return bytesRead === 2 ? buffer : Buffer.alloc(0);
+  } finally {
+    await fh.close();
+  }
+}
+
+async function* recordsFromFile(file) {
+  const magic = await magicBytes(file);
+  if (magic[0] === 0x50 && magic[1] === 0x4b) {
+    throw new Error(`${file} is a zip archive; extract it and pass the directory instead.`);
+  }
+
+  const gzipped = magic[0] === 0x1f && magic[1] === 0x8b;
+  const stream = gzipped ? fs.createReadStream(file).pipe(createGunzip()) : fs.createReadStream(file);
+
+  if (/\.(jsonl|ndjson)(\.gz)?$/i.test(file)) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNo = 0;
+    for await (const line of lines) {
+      lineNo++;
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${file}:${lineNo}: invalid JSON (${e.message})`);
+      }
+    }
+    return;
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  const parsed = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.conversations ?? parsed?.data ?? [parsed];
+  for (const record of list) yield record;
+}
+
+async function listExportFiles(p) {
+  const stat = await fs.promises.stat(p);
+  if (!stat.isDirectory()) return [p];
+
+  const out = [];
+  const entries = (await fs.promises.readdir(p, { withFileTypes: true })).sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+  for (const e of entries) {
+    const full = path.join(p, e.name);
+    if (e.isDirectory()) out.push(...(await listExportFiles(full)));
+    else if (EXPORT_FILE_RE.test(e.name)) out.push(full);
+  }
+  return out;
+}
+
+/**
+ * Yield normalized conversations from an export file or directory. Records that
+ * aren't conversations are counted in `stats.skipped`.
+ */
+export async function* readExportConversations(p, stats = { files: 0, skipped: 0 }) {
+  for (const file of await listExportFiles(p)) {
+    stats.files++;
+    for await (const record of recordsFromFile(file)) {
+      const conversation = normalizeExportedConversation(record);
+      if (conversation) yield conversation;
+      else stats.skipped++;
+    }
+  }
+}
@@ -0,0 +1,654 @@
+import { htmlToText } from "./html.js";
+
+export { htmlToText };
+
+// ---------- Extraction ----------
+function epochToIso(ts) {
+  const n = ts ? Number(ts) : null;
+  return n ? new Date(n * 1000).toISOString() : null;
+}
+
+// A part's epoch seconds; some payloads only carry sent/delivered timestamps
+function partEpoch(obj) {
+  for (const v of [obj?.created_at, obj?.sent_at, obj?.delivered_at, obj?.created_at_unix]) {
+    const n = v != null ? Number(v) : NaN;
+    if (Number.isFinite(n) && n > 0) return n;
+  }
+  return null;
+}
+
+// ---------- Author taxonomy ----------
+export const AUTHOR_TYPES = ["user", "lead", "admin", "bot", "team", "system"];
+
+/**
+ * Classify an Intercom author into one of AUTHOR_TYPES.
+ * - user/contact -> "user", lead -> "lead" (the customer side)
+ * - admin -> "admin" (human teammate), bot -> "bot" (Fin, workflows), team -> "team"
+ * - anything else, including a missing author, -> "system"
+ */
+export function classifyAuthor(author) {
+  const t = String(author?.type || "").toLowerCase();
+  if (t === "user" || t === "contact") return "user";
+  if (t === "lead") return "lead";
+  if (t === "admin") return "admin";
+  if (t === "bot") return "bot";
+  if (t === "team") return "team";
+  return "system";
+}
+
+export function isCustomerAuthorType(authorType) {
+  return authorType === "user" || authorType === "lead";
+}
+
+export function normalizeMessage(obj, partType = obj?.part_type) {
+  const createdAt = partEpoch(obj);
+  const createdIso = createdAt ? new Date(createdAt * 1000).toISOString() : "";
+
+  const author = obj?.author || {};
+  const authorType = classifyAuthor(author);
+
+  const bodyHtml = obj?.body || "";
+  const bodyText = htmlToText(bodyHtml);
+
+  return {
+    part_id: obj?.id || null,
+    part_type: partType ? String(partType).toLowerCase() : "",
+    created_at: createdAt,
+    created_at_iso: createdIso,
+    author_type: authorType,
+    author_id: author?.id ? String(author.id) : "",
+    author_name: author?.name ? String(author.name) : "",
+    body_html: bodyHtml,
+    body_text: bodyText,
+  };
+}
+
+export function buildOrderedMessages(conversation) {
+  const out = [];
+  if (conversation?.source) {
+    // The source message often has no timestamp of its own; fall back to the conversation's
+    const source = conversation.source;
+    out.push(normalizeMessage({ ...source, created_at: partEpoch(source) ?? conversation.created_at }, "source"));
+  }
+
+  const parts = conversation?.conversation_parts?.conversation_parts || [];
+  for (const p of parts) out.push(normalizeMessage(p));
+
+  out.sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
+  return out;
+}
+
+/**
+ * The customer's (user/lead) last message before messages[idx]: the conversation
+ * source or a comment part with a body. Bot, team and system parts never count.
+ * Returns the normalized message, or null.
+ */
+export function findPreviousUserMessage(messages, idx) {
+  for (let j = idx - 1; j >= 0; j--) {
+    const m = messages[j];
+    if (!isCustomerAuthorType(m?.author_type)) continue;
+    if (m?.part_type !== "source" && m?.part_type !== "comment") continue;
+    if (m?.body_text?.trim()) return m;
+  }
+  return null;
+}
+
+export function tagList(conversation) {
+  const t1 = conversation?.tags?.tags;
+  const t2 = conversation?.tags?.data;
+  const t3 = conversation?.tags;
+
+  return (
+    (Array.isArray(t1) && t1) ||
+    (Array.isArray(t2) && t2) ||
+    (Array.isArray(t3) && t3) ||
+    []
+  );
+}
+
+export function extractTags(conversation) {
+  return tagList(conversation).map((t) => t?.name).filter(Boolean).join(", ");
+}
+
+/**
+ * Build `conversation_tags` rows (one per tag currently on the conversation).
+ */
+export function buildTagRows(conversation) {
+  const convoId = conversation?.id;
+  if (!convoId) return [];
+
+  return tagList(conversation)
+    .filter((t) => t?.id)
+    .map((t) => ({
+      conversation_id: String(convoId),
+      tag_id: String(t.id),
+      tag_name: t?.name ?? null,
+      applied_at: epochToIso(t?.applied_at),
+      applied_by_type: t?.applied_by?.type ?? null,
+      applied_by: t?.applied_by?.id != null ? String(t.applied_by.id) : null,
+    }));
+}
+
+export function extractAssigneeId(conversation) {
+  if (conversation?.assignee?.id) return String(conversation.assignee.id);
+  if (conversation?.admin_assignee_id) return String(conversation.admin_assignee_id);
+  return "";
+}
+
+// Intercom contact id of the conversation's (first) customer
+export function extractContactId(conversation) {
+  const c0 = conversation?.contacts?.contacts?.[0];
+  return c0?.id ? String(c0.id) : "";
+}
+
+/**
+ * Best-effort identity of the conversation's customer, from customer-side authors
+ * only (outbound conversations start with a teammate/bot source).
+ * - Email/name: source author > first user/lead part author > first contact
+ * - user_id: contact external_id > Intercom ids
+ */
+export function extractUser(conversation) {
+  const contact0 = conversation?.contacts?.contacts?.[0] ?? null;
+  const sa = conversation?.source?.author ?? null;
+  const sourceAuthor = isCustomerAuthorType(classifyAuthor(sa)) ? sa : null;
+
+  const parts = conversation?.conversation_parts?.conversation_parts ?? [];
+  const partAuthor =
+    parts
+      .map((p) => p?.author)
+      .find((a) => isCustomerAuthorType(classifyAuthor(a)) && (a?.email || a?.name || a?.id)) ?? null;
+
+  const userId =
+    contact0?.external_id ?? sourceAuthor?.id ?? partAuthor?.id ?? contact0?.id ?? null;
+
+  return {
+    user_id: userId != null ? String(userId) : null,
+    user_name: sourceAuthor?.name ?? partAuthor?.name ?? contact0?.name ?? null,
+    user_email: sourceAuthor?.email ?? partAuthor?.email ?? contact0?.email ?? null,
+  };
+}
+
+// Bump when buildReplyRows changes what it writes; rows stamped with an older
+// version are rebuilt by scripts/intercom_backfill_replies.js.
+export const REPLY_ROW_SCHEMA_VERSION = 2;
+
+/**
+ * Build `replies` rows from a full conversation: human teammate (admin) parts with
+ * a body, plus bot parts with a body, told apart by `author_type`. This is the one
+ * row shape every ingestion path (sync, poll, webhook, backfills) writes.
+ */
+export function buildReplyRows(conversation) {
+  const convoId = conversation?.id;
+  if (!convoId) return [];
+
+  const tags = extractTags(conversation);
+  const assigneeId = extractAssigneeId(conversation);
+  const contactId = extractContactId(conversation);
+  const { user_id, user_name, user_email } = extractUser(conversation);
+  const { intercom_inbox_id, intercom_inbox_name } = extractInbox(conversation);
+  const messages = buildOrderedMessages(conversation);
+  const rows = [];
+
+  for (let i = 0; i < messages.length; i++) {
+    const msg = messages[i];
+    if (msg?.author_type !== "admin" && msg?.author_type !== "bot") continue;
+    if (!msg?.body_text?.trim()) continue;
+
+    const partId = msg.part_id || `source_${msg.author_type}_${convoId}_${msg.created_at || i}`;
+    const userPrev = findPreviousUserMessage(messages, i);
+
+    rows.push({
+      pulled_at: new Date().toISOString(),
+      row_schema_version: REPLY_ROW_SCHEMA_VERSION,
+      conversation_id: String(convoId),
+      part_id: String(partId),
+      reply_created_at: msg.created_at_iso || null,
+      author_type: msg.author_type,
+      teammate_id: msg.author_id || null,
+      teammate_name: msg.author_name || null,
+      is_intercom_note: msg.part_type === "note",
+
+      tags: tags || null,
+      assignee_id: assigneeId || null,
+      team_assignee_id:
+        conversation?.team_assignee_id != null ? String(conversation.team_assignee_id) : null,
+
+      contact_id: contactId || null,
+      user_id,
+      user_name,
+      user_email,
+      user_prev_message: userPrev?.body_text || null,
+      user_prev_message_html: userPrev?.body_html || null,
+      user_prev_message_created_at: userPrev?.created_at_iso || null,
+
+      conversation_state: conversation?.state ?? null,
+      conversation_open: typeof conversation?.open === "boolean" ? conversation.open : null,
+      conversation_waiting_since: epochToIso(conversation?.waiting_since),
+      conversation_snoozed_until: epochToIso(conversation?.snoozed_until),
+      conversation_updated_at: epochToIso(conversation?.updated_at),
+
+      inbox: intercom_inbox_id, // legacy column kept in sync
+      intercom_inbox_id,
+      intercom_inbox_name,
+
+      agent_reply: msg.body_text || null,
+      agent_reply_html: msg.body_html || null,
+    });
+  }
+
+  return rows;
+}
+
+// Source + parts in thread order, with the message-row part id for each
+function threadParts(conversation) {
+  const convoId = conversation.id;
+  const raw = [];
+  if (conversation?.source) {
+    // The source message often has no created_at of its own; fall back to the conversation's
+    raw.push({
+      ...conversation.source,
+      part_type: "source",
+      created_at: conversation.source.created_at ?? conversation.created_at,
+    });
+  }
+
+  const parts = conversation?.conversation_parts?.conversation_parts || [];
+  for (const p of parts) raw.push(p);
+
+  return raw.map((p, i) => ({
+    part: p,
+    partId: String(p?.id || `${p.part_type || "part"}_${convoId}_${p?.created_at || i}`),
+  }));
+}
+
+/**
+ * Build `conversation_messages` rows: every part of the thread (user, lead, admin,
+ * bot, notes, assignment/close events), including the ones without a body.
+ */
+export function buildMessageRows(conversation) {
+  const convoId = conversation?.id;
+  if (!convoId) return [];
+
+  return threadParts(conversation).map(({ part: p, partId }) => {
+    const author = p?.author || {};
+    const bodyHtml = p?.body || "";
+
+    return {
+      pulled_at: new Date().toISOString(),
+      conversation_id: String(convoId),
+      part_id: partId,
+      part_type: p?.part_type ? String(p.part_type) : null,
+      author_type: classifyAuthor(author),
+      author_type_raw: author?.type ? String(author.type).toLowerCase() : null,
+      author_id: author?.id ? String(author.id) : null,
+      author_name: author?.name ? String(author.name) : null,
+      author_email: author?.email ? String(author.email) : null,
+      created_at: epochToIso(p?.created_at),
+      updated_at: epochToIso(p?.updated_at),
+      body_html: bodyHtml || null,
+      body_text: htmlToText(bodyHtml) || null,
+    };
+  });
+}
+
+/**
+ * Build `conversation_attachments` rows: metadata for each file attached to the
+ * source or a part, keyed by part id + position. Intercom's urls are signed and
+ * expire, so each sync refreshes them; scripts/archive-attachments.js copies the
+ * files into Supabase Storage.
+ */
+export function buildAttachmentRows(conversation) {
+  const convoId = conversation?.id;
+  if (!convoId) return [];
+
+  const rows = [];
+  for (const { part: p, partId } of threadParts(conversation)) {
+    const attachments = Array.isArray(p?.attachments) ? p.attachments : [];
+
+    attachments.forEach((a, position) => {
+      if (!a?.url) return;
+      const size = Number(a?.filesize);
+
+      rows.push({
+        pulled_at: new Date().toISOString(),
+        conversation_id: String(convoId),
+        part_id: partId,
+        position,
+        part_created_at: epochToIso(p?.created_at),
+        author_type: classifyAuthor(p?.author),
+        name: a?.name ?? null,
+        content_type: a?.content_type ?? null,
+        filesize: Number.isFinite(size) ? size : null,
+        width: a?.width != null ? Number(a.width) : null,
+        height: a?.height != null ? Number(a.height) : null,
+        url: String(a.url),
+      });
+    });
+  }
+  return rows;
+}
+
+export function extractInbox(conversation) {
+  // Best-effort only (Intercom often omits inbox from this endpoint)
+  const inboxId =
+    conversation?.inbox?.id ??
+    conversation?.source?.inbox?.id ??
+    conversation?.inbox_id ??
+    null;
+
+  const inboxName =
+    conversation?.inbox?.name ??
+    conversation?.source?.inbox?.name ??
+    conversation?.inbox_name ??
+    null;
+
+  return {
+    intercom_inbox_id: inboxId != null ? String(inboxId) : null,
+    intercom_inbox_name: inboxName != null ? String(inboxName) : null,
+  };
+}
+
+function extractClosedAt(conversation) {
+  if (conversation?.state !== "closed") return null;
+  if (conversation?.statistics?.last_close_at) return epochToIso(conversation.statistics.last_close_at);
+
+  const parts = conversation?.conversation_parts?.conversation_parts || [];
+  let closedAt = null;
+  for (const p of parts) {
+    if (p?.part_type === "close" && Number(p?.created_at) > (closedAt || 0)) closedAt = Number(p.created_at);
+  }
+  return epochToIso(closedAt);
+}
+
+/**
+ * Build the single `conversations` row for a full conversation.
+ */
+export function buildConversationRow(conversation) {
+  const convoId = conversation?.id;
+  if (!convoId) return null;
+
+  const { intercom_inbox_id, intercom_inbox_name } = extractInbox(conversation);
+
+  return {
+    pulled_at: new Date().toISOString(),
+    conversation_id: String(convoId),
+    title: conversation?.title ?? null,
+    state: conversation?.state ?? null,
+    open: typeof conversation?.open === "boolean" ? conversation.open : null,
+    read: typeof conversation?.read === "boolean" ? conversation.read : null,
+    priority: conversation?.priority ?? null,
+    waiting_since: epochToIso(conversation?.waiting_since),
+    snoozed_until: epochToIso(conversation?.snoozed_until),
+    assignee_id: extractAssigneeId(conversation) || null,
+    team_assignee_id:
+      conversation?.team_assignee_id != null ? String(conversation.team_assignee_id) : null,
+    intercom_inbox_id,
+    intercom_inbox_name,
+    contact_id: extractContactId(conversation) || null,
+    tags: extractTags(conversation) || null,
+    source_type: conversation?.source?.type ?? null,
+    created_at: epochToIso(conversation?.created_at),
+    updated_at: epochToIso(conversation?.updated_at),
+    closed_at: extractClosedAt(conversation),
+  };
+}
+
+// Intercom statistics fields stored as epoch timestamps (converted to ISO)
+const STATISTICS_TIMESTAMP_FIELDS = [
+  "first_contact_reply_at",
+  "first_assignment_at",
+  "first_admin_reply_at",
+  "first_close_at",
+  "last_assignment_at",
+  "last_assignment_admin_reply_at",
+  "last_contact_reply_at",
+  "last_admin_reply_at",
+  "last_close_at",
+];
+
+// Intercom statistics fields stored as-is (durations in seconds, counts)
+const STATISTICS_NUMBER_FIELDS = [
+  "time_to_assignment",
+  "time_to_admin_reply",
+  "time_to_first_close",
+  "time_to_last_close",
+  "median_time_to_reply",
+  "count_reopens",
+  "count_assignments",
+  "count_conversation_parts",
+];
+
+/**
+ * Build the `conversation_statistics` row from Intercom's `statistics` block.
+ * Returns null when the conversation has no statistics (e.g. outbound-only).
+ */
+export function buildStatisticsRow(conversation) {
+  const convoId = conversation?.id;
+  const stats = conversation?.statistics;
+  if (!convoId || !stats || typeof stats !== "object") return null;
+
+  const row = {
+    pulled_at: new Date().toISOString(),
+    conversation_id: String(convoId),
+  };
+
+  for (const f of STATISTICS_TIMESTAMP_FIELDS) row[f] = epochToIso(stats[f]);
+  for (const f of STATISTICS_NUMBER_FIELDS) {
+    const n = stats[f] != null ? Number(stats[f]) : null;
+    row[f] = Number.isFinite(n) ? n : null;
+  }
+  row.last_closed_by_id = stats.last_closed_by_id != null ? String(stats.last_closed_by_id) : null;
+
+  return row;
+}
+
+/**
+ * Build the `conversation_ratings` row from `conversation_rating` (CSAT).
+ * Returns null until the customer has rated the conversation.
+ */
+export function buildRatingRow(conversation) {
+  const convoId = conversation?.id;
+  const r = conversation?.conversation_rating;
+  if (!convoId || r?.rating == null) return null;
+
+  const rating = Number(r.rating);
+  if (!Number.isFinite(rating)) return null;
+
+  return {
+    pulled_at: new Date().toISOString(),
+    conversation_id: String(convoId),
+    rating,
+    remark: r?.remark || null,
+    rated_at: epochToIso(r?.created_at),
+    contact_id: r?.contact?.id != null ? String(r.contact.id) : null,
+    teammate_id: r?.teammate?.id != null ? String(r.teammate.id) : null,
+  };
+}
+
+// Part types that change who owns a conversation
+const ASSIGNMENT_PART_TYPES = new Set([
+  "assignment",
+  "default_assignment",
+  "away_mode_assignment",
+  "assign_and_reopen",
+  "assign_and_unsnooze",
+]);
+
+// Part types that change conversation state, and the state they leave it in
+const STATE_AFTER_PART_TYPE = {
+  open: "open",
+  assign_and_reopen: "open",
+  close: "closed",
+  snoozed: "snoozed",
+  unsnoozed: "open",
+  timer_unsnooze: "open",
+  assign_and_unsnooze: "open",
+};
+
+/**
+ * Build `conversation_events` rows: assignments and state changes, in order, with
+ * the admin/team assignee and state before and after each event. Conversations
+ * start out open and unassigned.
+ */
+export function buildEventRows(conversation) {
+  const convoId = conversation?.id;
+  if (!convoId) return [];
+
+  const parts = [...(conversation?.conversation_parts?.conversation_parts || [])].sort(
+    (a, b) => (Number(a?.created_at) || 0) - (Number(b?.created_at) || 0)
+  );
+
+  let admin = null;
+  let team = null;
+  let state = "open";
+  const rows = [];
+
+  for (const p of parts) {
+    const partType = String(p?.part_type || "");
+    const isAssignment = ASSIGNMENT_PART_TYPES.has(partType);
+    const stateAfter = STATE_AFTER_PART_TYPE[partType] ?? null;
+    if (!isAssignment && !stateAfter) continue;
+
+    const before = { admin, team, state };
+
+    if (isAssignment) {
+      const to = p?.assigned_to;
+      const toType = String(to?.type || "").toLowerCase();
+      if (toType === "admin") admin = to?.id != null ? String(to.id) : null;
+      else if (toType === "team") team = to?.id != null ? String(to.id) : null;
+      else if (toType === "nobody_admin") admin = null;
+    }
+    if (stateAfter) state = stateAfter;
+
+    const author = p?.author || {};
+    rows.push({
+      pulled_at: new Date().toISOString(),
+      conversation_id: String(convoId),
+      part_id: String(p?.id || `${partType}_${convoId}_${p?.created_at}`),
+      event_type: partType,
+      occurred_at: epochToIso(p?.created_at),
+      actor_type: classifyAuthor(author),
+      actor_id: author?.id != null ? String(author.id) : null,
+      actor_name: author?.name ?? null,
+      admin_assignee_before: before.admin,
+      admin_assignee_after: admin,
+      team_assignee_before: before.team,
+      team_assignee_after: team,
+      state_before: before.state,
+      state_after: state,
+    });
+  }
+
+  return rows;
+}
+
+// ---------- Tickets ----------
+function ticketParts(ticket) {
+  const tp = ticket?.ticket_parts;
+  return Array.isArray(tp) ? tp : tp?.ticket_parts || [];
+}
+
+// API 2.11 returns ticket_state as a string; later versions as { category, internal_label, ... }
+function ticketState(ticket) {
+  const s = ticket?.ticket_state;
+  if (s && typeof s === "object") {
+    return { state: s.internal_label ?? s.category ?? null, category: s.category ?? null };
+  }
+  return { state: s != null ? String(s) : null, category: null };
+}
+
+export function extractLinkedConversationIds(ticket) {
+  const linked = ticket?.linked_objects?.data ?? [];
+  return linked
+    .filter((o) => o?.type === "conversation" && o?.id != null)
+    .map((o) => String(o.id));
+}
+
+/**
+ * Build the single `tickets` row for a ticket from GET /tickets/{id}.
+ */
+export function buildTicketRow(ticket) {
+  const ticketId = ticket?.id;
+  if (!ticketId) return null;
+
+  const { state, category } = ticketState(ticket);
+  const attributes = ticket?.ticket_attributes ?? {};
+  const type = ticket?.ticket_type ?? {};
+
+  return {
+    pulled_at: new Date().toISOString(),
+    ticket_id: String(ticketId),
+    ticket_number: ticket?.ticket_id != null ? String(ticket.ticket_id) : null,
+    category: ticket?.category ?? type?.category ?? null,
+    ticket_type_id: type?.id != null ? String(type.id) : null,
+    ticket_type_name: type?.name ?? null,
+    ticket_state: state,
+    ticket_state_category: category,
+    title: attributes?._default_title_ ?? null,
+    open: typeof ticket?.open === "boolean" ? ticket.open : null,
+    is_shared: typeof ticket?.is_shared === "boolean" ? ticket.is_shared : null,
+    admin_assignee_id: ticket?.admin_assignee_id != null ? String(ticket.admin_assignee_id) : null,
+    team_assignee_id: ticket?.team_assignee_id != null ? String(ticket.team_assignee_id) : null,
+    contact_id: extractContactId(ticket) || null,
+    ticket_attributes: attributes,
+    linked_conversation_ids: extractLinkedConversationIds(ticket),
+    snoozed_until: epochToIso(ticket?.snoozed_until),
+    created_at: epochToIso(ticket?.created_at),
+    updated_at: epochToIso(ticket?.updated_at),
+  };
+}
+
+/**
+ * Build `ticket_parts` rows: every part of the ticket, including state changes
+ * (previous_ticket_state -> ticket_state) and parts without a body.
+ */
+export function buildTicketPartRows(ticket) {
+  const ticketId = ticket?.id;
+  if (!ticketId) return [];
+
+  return ticketParts(ticket).map((p, i) => {
+    const author = p?.author || {};
+    const bodyHtml = p?.body || "";
+
+    return {
+      pulled_at: new Date().toISOString(),
+      ticket_id: String(ticketId),
+      part_id: String(p?.id || `${p?.part_type || "part"}_${ticketId}_${p?.created_at || i}`),
+      part_type: p?.part_type ? String(p.part_type) : null,
+      author_type: classifyAuthor(author),
+      author_type_raw: author?.type ? String(author.type).toLowerCase() : null,
+      author_id: author?.id ? String(author.id) : null,
+      author_name: author?.name ? String(author.name) : null,
+      author_email: author?.email ? String(author.email) : null,
+      previous_ticket_state: p?.previous_ticket_state ?? null,
+      ticket_state: p?.ticket_state ?? null,
+      created_at: epochToIso(p?.created_at),
+      updated_at: epochToIso(p?.updated_at),
+      body_html: bodyHtml || null,
+      body_text: htmlToText(bodyHtml) || null,
+    };
+  });
+}
+
+/**
+ * Build `replies` rows for a ticket's teammate and bot replies, in the same shape
+ * as buildReplyRows plus ticket_id. conversation_id is null: ticket ids aren't
+ * conversation ids (tickets.linked_conversation_ids has the linked ones).
+ * conversation_state is null too; the ticket's state is tickets.ticket_state.
+ */
+export function buildTicketReplyRows(ticket) {
+  if (!ticket?.id) return [];
+
+  const asConversation = {
+    ...ticket,
+    state: null,
+    source: null,
+    conversation_parts: { conversation_parts: ticketParts(ticket) },
+  };
+
+  return buildReplyRows(asConversation).map((r) => ({
+    ...r,
+    conversation_id: null,
+    ticket_id: String(ticket.id),
+  }));
+}
@@ -0,0 +1,134 @@
+import { supabase, upsertReplies, resolveSyncFailures } from "./supabase.js";
+import { WORKSPACE_ID } from "./workspaces.js";
+import { getConversation, getTicket, IntercomAuthError } from "./intercom.js";
+import { buildReplyRows } from "./extract.js";
+import { passesIngestFilters } from "./filters.js";
+import { newConversationBatch, addConversation, writeConversationBatch } from "./ingest.js";
+
+// After this many failed attempts a conversation is marked dead and left for a human
+const MAX_ATTEMPTS = Number(process.env.SYNC_FAILURE_MAX_ATTEMPTS || 8);
+const RETRY_BATCH = 50;
+
+// ---------- Dead-letter queue (public.sync_failures) ----------
+// Rows are conversations, or tickets with kind "ticket" (conversation_id is then the ticket id)
+export async function recordSyncFailure(conversationId, error, source, kind = "conversation") {
+  const { data, error: rpcErr } = await supabase.rpc("record_sync_failure", {
+    p_conversation_id: String(conversationId),
+    p_source: source,
+    p_error_class: error?.name ?? "Error",
+    p_error_message: String(error?.message ?? error),
+    p_max_attempts: MAX_ATTEMPTS,
+    p_workspace_id: WORKSPACE_ID,
+    p_kind: kind,
+  });
+  if (rpcErr) throw rpcErr;
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (row?.status === "dead") {
+    console.error(`Sync failure: ${kind} ${conversationId} is dead after ${row.attempts} attempts (${row.error_class}).`);
+  }
+  return row;
+}
+
+/**
+ * getConversation for batch jobs: on failure, records the conversation in
+ * sync_failures and returns null so the run carries on. A conversation that no
+ * longer exists (404) is skipped and dropped from sync_failures rather than
+ * retried. Auth failures still throw, since every other conversation would fail
+ * the same way. `payload` (e.g. a webhook's copy of the conversation) lets a
+ * failure for a conversation INGEST_FILTERS excludes be dropped instead of queued.
+ */
+export async function fetchConversationForSync(conversationId, source, { payload = null } = {}) {
+  let full;
+  try {
+    full = await getConversation(conversationId);
+  } catch (e) {
+    if (e instanceof IntercomAuthError) throw e;
+    if (payload && !passesIngestFilters(payload)) {
+      console.log(`Intercom: conversation ${conversationId} failed to fetch but is excluded by INGEST_FILTERS; skipping.`);
+      return null;
+    }
+    console.log(`Intercom: deferring conversation ${conversationId}: ${e?.name ?? "Error"} ${e?.message ?? e}`);
+    await recordSyncFailure(conversationId, e, source);
+    return null;
+  }
+
+  if (!full) {
+    console.log(`Intercom: conversation ${conversationId} no longer exists; skipping.`);
+    await resolveSyncFailures([conversationId]);
+  }
+  return full;
+}
+
+/**
+ * getTicket counterpart of fetchConversationForSync (failures recorded with kind "ticket").
+ */
+export async function fetchTicketForSync(ticketId, source) {
+  let full;
+  try {
+    full = await getTicket(ticketId);
+  } catch (e) {
+    if (e instanceof IntercomAuthError) throw e;
+    console.log(`Intercom: deferring ticket ${ticketId}: ${e?.name ?? "Error"} ${e?.message ?? e}`);
+    await recordSyncFailure(ticketId, e, source, "ticket");
+    return null;
+  }
+
+  if (!full) {
+    console.log(`Intercom: ticket ${ticketId} no longer exists; skipping.`);
+    await resolveSyncFailures([ticketId], "ticket");
+  }
+  return full;
+}
+
+/**
+ * Ids of `kind` failures whose next_retry_at has passed, oldest due first.
+ */
+export async function dueSyncFailures(kind, limit = RETRY_BATCH) {
+  const { data, error } = await supabase
+    .from("sync_failures")
+    .select("conversation_id")
+    .eq("workspace_id", WORKSPACE_ID)
+    .eq("kind", kind)
+    .eq("status", "retrying")
+    .lte("next_retry_at", new Date().toISOString())
+    .order("next_retry_at", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+  return (data ?? []).map((r) => r.conversation_id);
+}
+
+/**
+ * Retry conversation failures whose next_retry_at has passed. Successful
+ * conversations are written like any other and drop out of the queue; failures
+ * back off further. Conversations INGEST_FILTERS excludes drop out unwritten.
+ */
+export async function retryDueSyncFailures(source, limit = RETRY_BATCH) {
+  const due = await dueSyncFailures("conversation", limit);
+  if (!due.length) return { retried: 0, recovered: 0 };
+
+  const rows = [];
+  const batch = newConversationBatch();
+  const excluded = [];
+
+  for (const conversationId of due) {
+    const full = await fetchConversationForSync(conversationId, source);
+    if (!full) continue;
+    if (!passesIngestFilters(full)) {
+      excluded.push(conversationId);
+      continue;
+    }
+
+    rows.push(...buildReplyRows(full));
+    addConversation(batch, full);
+  }
+
+  await upsertReplies(rows);
+  await writeConversationBatch(batch);
+  await resolveSyncFailures(excluded);
+
+  console.log(
+    `Sync failures: retried=${due.length} recovered=${batch.conversationIds.length} excluded=${excluded.length}`
+  );
+  return { retried: due.length, recovered: batch.conversationIds.length };
+}
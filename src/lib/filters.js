@@ -0,0 +1,122 @@
+import { tagList } from "./extract.js";
+
+// ---------- Ingestion filters ----------
+// INGEST_FILTERS (JSON) limits which conversations sync, poll, the range backfill
+// and the webhook ingest, e.g.
+//   {
+//     "include": { "source_type": ["conversation", "email"] },
+//     "exclude": { "team_assignee_id": ["5012"], "tags": ["Test", "sales"], "state": ["snoozed"] }
+//   }
+// A conversation is kept when, for every include field, one of its values is
+// listed, and none of its values is listed under any exclude field. Filters are
+// pushed into the /conversations/search query where Intercom supports them (tags
+// only when given as ids) and always re-checked on the search results. Rows already
+// ingested before a conversation became excluded are left in place.
+const FILTER_FIELDS = {
+  team_assignee_id: {
+    searchField: "team_assignee_id",
+    valuesOf: (c) => [c?.team_assignee_id],
+  },
+  admin_assignee_id: {
+    searchField: "admin_assignee_id",
+    valuesOf: (c) => [c?.admin_assignee_id ?? c?.assignee?.id],
+  },
+  // Tag ids or names; only all-id lists can be searched on (tag_ids)
+  tags: {
+    searchField: "tag_ids",
+    pushdown: (values) => values.every((v) => /^\d+$/.test(v)),
+    valuesOf: (c) => tagList(c).flatMap((t) => [t?.id, t?.name]),
+  },
+  // Channel: conversation (Messenger), email, push, facebook, twitter, ...
+  source_type: {
+    searchField: "source.type",
+    valuesOf: (c) => [c?.source?.type],
+  },
+  state: {
+    searchField: "state",
+    valuesOf: (c) => [c?.state],
+  },
+};
+
+function parseRules(rules, section) {
+  if (rules == null) return {};
+  if (typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error(`INGEST_FILTERS.${section} must be an object of field -> values.`);
+  }
+
+  const out = {};
+  for (const [field, values] of Object.entries(rules)) {
+    if (!FILTER_FIELDS[field]) {
+      throw new Error(
+        `INGEST_FILTERS.${section}: unknown field '${field}' (allowed: ${Object.keys(FILTER_FIELDS).join(", ")}).`
+      );
+    }
+    const list = (Array.isArray(values) ? values : [values]).filter((v) => v != null).map(String);
+    if (list.length) out[field] = new Set(list);
+  }
+  return out;
+}
+
+/**
+ * Parse an INGEST_FILTERS JSON string into { include, exclude } (field -> Set of
+ * string values). Empty or missing config means no filtering.
+ */
+export function parseIngestFilters(json) {
+  if (!json || !String(json).trim()) return { include: {}, exclude: {} };
+
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`INGEST_FILTERS is not valid JSON: ${e.message}`);
+  }
+
+  return {
+    include: parseRules(config?.include, "include"),
+    exclude: parseRules(config?.exclude, "exclude"),
+  };
+}
+
+const FILTERS = parseIngestFilters(process.env.INGEST_FILTERS);
+
+export function hasIngestFilters(filters = FILTERS) {
+  return Object.keys(filters.include).length > 0 || Object.keys(filters.exclude).length > 0;
+}
+
+/**
+ * The part of the filters Intercom's conversation search can apply, as extra
+ * AND-ed query clauses (IN / NIN on each field).
+ */
+export function ingestSearchFilters(filters = FILTERS) {
+  const clauses = [];
+  for (const [section, operator] of [["include", "IN"], ["exclude", "NIN"]]) {
+    for (const [field, values] of Object.entries(filters[section])) {
+      const def = FILTER_FIELDS[field];
+      const list = [...values];
+      if (def.pushdown && !def.pushdown(list)) continue;
+      clauses.push({ field: def.searchField, operator, value: list });
+    }
+  }
+  return clauses;
+}
+
+export function passesIngestFilters(conversation, filters = FILTERS) {
+  const valuesOf = (field) =>
+    FILTER_FIELDS[field].valuesOf(conversation).filter((v) => v != null).map(String);
+
+  for (const [field, allowed] of Object.entries(filters.include)) {
+    if (!valuesOf(field).some((v) => allowed.has(v))) return false;
+  }
+  for (const [field, blocked] of Object.entries(filters.exclude)) {
+    if (valuesOf(field).some((v) => blocked.has(v))) return false;
+  }
+  return true;
+}
+
+/**
+ * Split search results into { kept, filtered } (filtered is a count).
+ */
+export function applyIngestFilters(conversations, filters = FILTERS) {
+  const kept = (conversations || []).filter((c) => passesIngestFilters(c, filters));
+  return { kept, filtered: (conversations?.length ?? 0) - kept.length };
+}
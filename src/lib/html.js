@@ -0,0 +1,352 @@
+// ---------- HTML to text ----------
+// Intercom part bodies are small HTML fragments. htmlToText renders them as
+// Markdown-ish plain text: paragraphs separated by blank lines, "- " / "1. " list
+// items (nested lists indented), [text](href) links, ![alt](src) images, fenced
+// ``` code blocks, `inline code`, "> " quotes and "#" headings. The original HTML
+// is stored next to the text (body_html, agent_reply_html) for re-rendering.
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0",
+  copy: "©", reg: "®", trade: "™", deg: "°", plusmn: "±", times: "×", divide: "÷",
+  micro: "µ", para: "¶", sect: "§", middot: "·", bull: "•", hellip: "…",
+  ndash: "–", mdash: "—", lsquo: "‘", rsquo: "’", sbquo: "‚", ldquo: "“", rdquo: "”",
+  bdquo: "„", laquo: "«", raquo: "»", lsaquo: "‹", rsaquo: "›", prime: "′", Prime: "″",
+  iexcl: "¡", iquest: "¿", cent: "¢", pound: "£", yen: "¥", euro: "€", curren: "¤",
+  frac12: "½", frac14: "¼", frac34: "¾", sup1: "¹", sup2: "²", sup3: "³", permil: "‰",
+  larr: "←", rarr: "→", uarr: "↑", darr: "↓", harr: "↔", rArr: "⇒", lArr: "⇐",
+  le: "≤", ge: "≥", ne: "≠", asymp: "≈", infin: "∞", minus: "−", check: "✓", hearts: "♥",
+  ensp: "\u2002", emsp: "\u2003", thinsp: "\u2009", zwnj: "\u200c", zwj: "\u200d", shy: "\u00ad",
+  Agrave: "À", Aacute: "Á", Acirc: "Â", Atilde: "Ã", Auml: "Ä", Aring: "Å", AElig: "Æ",
+  Ccedil: "Ç", Egrave: "È", Eacute: "É", Ecirc: "Ê", Euml: "Ë", Igrave: "Ì", Iacute: "Í",
+  Icirc: "Î", Iuml: "Ï", Ntilde: "Ñ", Ograve: "Ò", Oacute: "Ó", Ocirc: "Ô", Otilde: "Õ",
+  Ouml: "Ö", Oslash: "Ø", Ugrave: "Ù", Uacute: "Ú", Ucirc: "Û", Uuml: "Ü", Yacute: "Ý",
+  szlig: "ß", agrave: "à", aacute: "á", acirc: "â", atilde: "ã", auml: "ä", aring: "å",
+  aelig: "æ", ccedil: "ç", egrave: "è", eacute: "é", ecirc: "ê", euml: "ë", igrave: "ì",
+  iacute: "í", icirc: "î", iuml: "ï", ntilde: "ñ", ograve: "ò", oacute: "ó", ocirc: "ô",
+  otilde: "õ", ouml: "ö", oslash: "ø", ugrave: "ù", uacute: "ú", ucirc: "û", uuml: "ü",
+  yacute: "ý", yuml: "ÿ", OElig: "Œ", oelig: "œ", Scaron: "Š", scaron: "š",
+};
+
+// Numeric references in 0x80-0x9F mean windows-1252, as browsers treat them
+const CP1252 = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020,
+  0x87: 0x2021, 0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152,
+  0x8e: 0x017d, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022,
+  0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc, 0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a,
+  0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178,
+};
+
+function codePointToString(cp) {
+  if (CP1252[cp]) return String.fromCodePoint(CP1252[cp]);
+  if (!cp || cp > 0x10ffff || (cp >= 0xd800 && cp <= 0xdfff)) return "\ufffd";
+  return String.fromCodePoint(cp);
+}
+
+/**
+ * Decode numeric (&#8217; &#x2019;) and named (&rsquo;) character references.
+ * Unknown names are left as written.
+ */
+export function decodeEntities(s) {
+  if (!s || s.indexOf("&") === -1) return s || "";
+  return s.replace(/&(?:#(\d{1,7})|#[xX]([0-9a-fA-F]{1,6})|([a-zA-Z][a-zA-Z0-9]{1,31}));?/g, (m, dec, hex, name) => {
+    if (dec) return codePointToString(Number(dec));
+    if (hex) return codePointToString(parseInt(hex, 16));
+    if (m.endsWith(";") && Object.hasOwn(NAMED_ENTITIES, name)) return NAMED_ENTITIES[name];
+    return m;
+  });
+}
+
+const BLOCK_TAGS = new Set([
+  "p", "div", "section", "article", "header", "footer", "main", "aside", "nav",
+  "figure", "figcaption", "address", "details", "summary", "form", "fieldset", "table",
+  "dl", "dt", "dd",
+]);
+const SKIP_CONTENT_TAGS = new Set(["script", "style", "head", "title", "template", "noscript"]);
+const VOID_TAGS = new Set(["br", "hr", "img", "input", "meta", "link", "wbr", "col", "area", "source"]);
+const SAFE_URL_RE = /^(https?:|mailto:|tel:|\/|#)/i;
+
+const TAG_RE = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTR_RE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function parseAttrs(s) {
+  const attrs = {};
+  for (const m of s.matchAll(ATTR_RE)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+// Split an HTML fragment into text / open / close tokens. A "<" that doesn't start
+// a tag, comment or declaration is plain text.
+function* tokenize(html) {
+  let i = 0;
+  let textStart = 0;
+
+  while (i < html.length) {
+    const lt = html.indexOf("<", i);
+    if (lt === -1) break;
+
+    let end = -1;
+    let tag = null;
+    if (html.startsWith("<!--", lt)) {
+      const close = html.indexOf("-->", lt + 4);
+      end = close === -1 ? html.length : close + 3;
+    } else if (/^<[!?]/.test(html.slice(lt, lt + 2))) {
+      const close = html.indexOf(">", lt);
+      end = close === -1 ? html.length : close + 1;
+    } else {
+      TAG_RE.lastIndex = lt;
+      const m = TAG_RE.exec(html);
+      if (m) {
+        end = TAG_RE.lastIndex;
+        tag = {
+          type: m[1] ? "close" : "open",
+          name: m[2].toLowerCase(),
+          attrs: m[1] ? {} : parseAttrs(m[3]),
+          selfClosing: Boolean(m[4]),
+        };
+      }
+    }
+
+    if (end === -1) {
+      i = lt + 1;
+      continue;
+    }
+
+    if (lt > textStart) yield { type: "text", text: html.slice(textStart, lt) };
+    if (tag) yield tag;
+    i = textStart = end;
+  }
+
+  if (textStart < html.length) yield { type: "text", text: html.slice(textStart) };
+}
+
+function newRenderer() {
+  return {
+    out: "",
+    pendingBreaks: 0,
+    breakQuotes: 0, // shallowest quote depth while breaks were pending
+    pendingMarker: null,
+    lists: [], // { ordered, n }
+    quotes: 0,
+    pre: 0,
+    code: 0,
+    skip: 0,
+    links: [], // { href, start }
+    cells: [], // cell count per open table row
+  };
+}
+
+function linePrefix(r, marker) {
+  const indent = "  ".repeat(Math.max(0, r.lists.length - (marker ? 1 : 0)));
+  return "> ".repeat(r.quotes) + indent + (marker || "");
+}
+
+function requestBreak(r, n) {
+  if (!r.out) return;
+  r.breakQuotes = r.pendingBreaks ? Math.min(r.breakQuotes, r.quotes) : r.quotes;
+  r.pendingBreaks = Math.max(r.pendingBreaks, n);
+}
+
+// Emit pending line breaks, quote/list prefix and list marker before new content
+function flush(r) {
+  if (r.pendingBreaks) {
+    r.out = r.out.replace(/[ \t]+$/, "");
+    // Blank lines inside a quote keep its ">" so the quote stays one block
+    const blank = "> ".repeat(Math.min(r.breakQuotes, r.quotes)).trimEnd();
+    r.out += ("\n" + blank).repeat(r.pendingBreaks - 1) + "\n" + linePrefix(r, r.pendingMarker);
+    r.pendingBreaks = 0;
+    r.pendingMarker = null;
+  } else if (r.pendingMarker) {
+    r.out += linePrefix(r, r.pendingMarker);
+    r.pendingMarker = null;
+  } else if (!r.out && r.quotes) {
+    r.out += linePrefix(r);
+  }
+}
+
+function writeText(r, text) {
+  if (!text) return;
+
+  if (r.pre) {
+    // A newline right after <pre> is not content
+    if (r.out.endsWith("```\n" + linePrefix(r))) text = text.replace(/^\r?\n/, "");
+    flush(r);
+    r.out += text.replace(/\n/g, "\n" + linePrefix(r));
+    return;
+  }
+
+  // Collapse HTML whitespace (not non-breaking spaces) like a browser would
+  let t = text.replace(/[ \t\n\r\f]+/g, " ");
+  const atLineStart = !r.out || r.pendingBreaks || r.pendingMarker || /[\n ]$/.test(r.out) || /(^|\n)(> )*$/.test(r.out);
+  if (atLineStart) t = t.replace(/^ /, "");
+  if (!t) return;
+
+  flush(r);
+  r.out += t;
+}
+
+function openTag(r, { name, attrs }) {
+  if (SKIP_CONTENT_TAGS.has(name)) {
+    r.skip++;
+    return;
+  }
+  if (r.skip) return;
+
+  switch (name) {
+    case "br":
+      if (r.pre) writeText(r, "\n");
+      else requestBreak(r, Math.min(2, r.pendingBreaks + 1));
+      return;
+    case "hr":
+      requestBreak(r, 2);
+      flush(r);
+      r.out += "---";
+      requestBreak(r, 2);
+      return;
+    case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+      requestBreak(r, 2);
+      flush(r);
+      r.out += "#".repeat(Number(name[1])) + " ";
+      return;
+    case "ul": case "ol":
+      requestBreak(r, r.lists.length ? 1 : 2);
+      r.lists.push({ ordered: name === "ol", n: Number(attrs.start) > 0 ? Number(attrs.start) - 1 : 0 });
+      return;
+    case "li": {
+      const list = r.lists[r.lists.length - 1];
+      if (!list) {
+        requestBreak(r, 1);
+        r.pendingMarker = "- ";
+        return;
+      }
+      list.n++;
+      requestBreak(r, 1);
+      r.pendingMarker = list.ordered ? `${list.n}. ` : "- ";
+      return;
+    }
+    case "blockquote":
+      requestBreak(r, 2);
+      r.quotes++;
+      return;
+    case "pre":
+      requestBreak(r, 2);
+      flush(r);
+      r.out += "```\n" + linePrefix(r);
+      r.pre++;
+      return;
+    case "code":
+      if (!r.pre) {
+        flush(r);
+        r.out += "`";
+      }
+      r.code++;
+      return;
+    case "a":
+      flush(r);
+      r.links.push({ href: attrs.href || "", start: r.out.length });
+      return;
+    case "img": {
+      const src = attrs.src || "";
+      const alt = (attrs.alt || "").trim();
+      if (!src && !alt) return;
+      flush(r);
+      r.out += SAFE_URL_RE.test(src) ? `![${alt}](${src})` : alt;
+      return;
+    }
+    case "tr":
+      requestBreak(r, 1);
+      r.cells.push(0);
+      return;
+    case "td": case "th":
+      if (r.cells.length && r.cells[r.cells.length - 1]++ > 0) {
+        flush(r);
+        r.out = r.out.replace(/[ \t]+$/, "") + " | ";
+      }
+      return;
+    default:
+      if (BLOCK_TAGS.has(name)) requestBreak(r, 2);
+  }
+}
+
+function closeTag(r, { name }) {
+  if (SKIP_CONTENT_TAGS.has(name)) {
+    r.skip = Math.max(0, r.skip - 1);
+    return;
+  }
+  if (r.skip) return;
+
+  switch (name) {
+    case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+      requestBreak(r, 2);
+      return;
+    case "ul": case "ol":
+      r.lists.pop();
+      r.pendingMarker = null;
+      requestBreak(r, r.lists.length ? 1 : 2);
+      return;
+    case "li":
+      requestBreak(r, 1);
+      return;
+    case "blockquote":
+      r.quotes = Math.max(0, r.quotes - 1);
+      requestBreak(r, 2);
+      return;
+    case "pre":
+      if (!r.pre) return;
+      r.pre--;
+      r.out = r.out.replace(/\n?(> )*[ \t]*$/, "") + "\n" + linePrefix(r) + "```";
+      requestBreak(r, 2);
+      return;
+    case "code":
+      if (!r.code) return;
+      r.code--;
+      if (!r.pre) r.out = r.out.replace(/[ \t]+$/, "") + "`";
+      return;
+    case "a": {
+      const link = r.links.pop();
+      if (!link) return;
+      const text = r.out.slice(link.start).trim();
+      const href = link.href;
+      let rendered = text;
+      if (SAFE_URL_RE.test(href) && !/^#/.test(href)) {
+        const bare = href.replace(/^(mailto:|tel:)/i, "");
+        if (!text) rendered = bare;
+        else if (text !== href && text !== bare && text !== href.replace(/\/$/, "")) rendered = `[${text}](${href})`;
+      }
+      r.out = r.out.slice(0, link.start) + rendered;
+      return;
+    }
+    case "tr":
+      r.cells.pop();
+      requestBreak(r, 1);
+      return;
+    default:
+      if (BLOCK_TAGS.has(name)) requestBreak(r, 2);
+  }
+}
+
+/**
+ * Render an Intercom HTML body as Markdown-ish plain text (see the top of this file).
+ */
+export function htmlToText(html) {
+  if (!html) return "";
+
+  const r = newRenderer();
+  for (const token of tokenize(String(html))) {
+    if (token.type === "text") {
+      if (!r.skip) writeText(r, decodeEntities(token.text));
+    } else if (token.type === "open") {
+      openTag(r, token);
+      if (token.selfClosing && !VOID_TAGS.has(token.name)) closeTag(r, token);
+    } else {
+      closeTag(r, token);
+    }
+  }
+
+  return r.out
+    .replace(/\u00a0/g, " ")
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
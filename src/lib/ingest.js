@@ -0,0 +1,120 @@
+import {
+  upsertConversationMessages,
+  upsertConversations,
+  upsertConversationStatistics,
+  upsertConversationRatings,
+  upsertConversationEvents,
+  upsertConversationAttachments,
+  upsertRawConversations,
+  syncConversationTags,
+  getStoredConversationUpdatedAt,
+  resolveSyncFailures,
+} from "./supabase.js";
+import {
+  buildMessageRows,
+  buildConversationRow,
+  buildStatisticsRow,
+  buildTagRows,
+  buildRatingRow,
+  buildEventRows,
+  buildAttachmentRows,
+} from "./extract.js";
+import { buildRawConversationRow } from "./archive.js";
+
+// ---------- Conversation-level tables (everything except replies) ----------
+/**
+ * `archive: false` skips raw_conversations, for rebuilding from the archive itself.
+ * `tagEvents: false` replaces conversation_tags without logging tag events, whose
+ * timestamps would otherwise be the replay time.
+ * `resolveFailures: false` leaves sync_failures alone: only a fresh fetch from
+ * Intercom settles a queued conversation, not a write from an archive or file.
+ */
+export function newConversationBatch({ archive = true, tagEvents = true, resolveFailures = true } = {}) {
+  return {
+    archive,
+    tagEvents,
+    resolveFailures,
+    raw: [],
+    conversationIds: [],
+    messages: [],
+    conversations: [],
+    statistics: [],
+    tags: [],
+    ratings: [],
+    events: [],
+    attachments: [],
+  };
+}
+
+/**
+ * `since` (epoch seconds, from changedConversations) limits per-part rows
+ * (messages, events) to parts created or updated since then.
+ */
+export function addConversation(batch, conversation, { since = null } = {}) {
+  if (!conversation?.id) return;
+
+  batch.conversationIds.push(String(conversation.id));
+  if (batch.archive) batch.raw.push(buildRawConversationRow(conversation));
+  batch.messages.push(...rowsSince(buildMessageRows(conversation), since, (r) => r.updated_at || r.created_at));
+  batch.conversations.push(buildConversationRow(conversation));
+  batch.statistics.push(buildStatisticsRow(conversation));
+  batch.tags.push(...buildTagRows(conversation));
+  batch.ratings.push(buildRatingRow(conversation));
+  batch.events.push(...rowsSince(buildEventRows(conversation), since, (r) => r.occurred_at));
+  batch.attachments.push(...buildAttachmentRows(conversation));
+}
+
+export async function writeConversationBatch(batch) {
+  await upsertRawConversations(batch.raw);
+  await upsertConversationMessages(batch.messages);
+  await upsertConversationStatistics(batch.statistics);
+  await upsertConversationRatings(batch.ratings);
+  await upsertConversationEvents(batch.events);
+  await upsertConversationAttachments(batch.attachments);
+  await syncConversationTags(batch.conversationIds, batch.tags, { emitEvents: batch.tagEvents });
+  // Last, so a failed write above leaves the conversation looking unchanged and
+  // the next run fetches it again
+  await upsertConversations(batch.conversations);
+  if (batch.resolveFailures) await resolveSyncFailures(batch.conversationIds);
+}
+
+// ---------- Change detection ----------
+/**
+ * Compare search results (which carry `updated_at`) with what `conversations`
+ * already holds. Returns { changed: [{ id, since }], skipped }, where `since` is
+ * the stored updated_at (epoch seconds; null for conversations never stored).
+ */
+export async function changedConversations(searchResults) {
+  const candidates = (searchResults || []).filter((c) => c?.id);
+  const stored = await getStoredConversationUpdatedAt(candidates.map((c) => c.id));
+
+  const changed = [];
+  let skipped = 0;
+
+  for (const c of candidates) {
+    const id = String(c.id);
+    const since = stored.get(id) ?? null;
+    const updatedAt = Number(c?.updated_at) || null;
+
+    if (since != null && updatedAt != null && updatedAt <= since) {
+      skipped++;
+      continue;
+    }
+    changed.push({ id, since });
+  }
+
+  return { changed, skipped };
+}
+
+/**
+ * Keep rows whose timestamp (ISO, via `tsOf`) is at or after `since` (epoch
+ * seconds). Rows without a timestamp are kept; `since` null keeps everything.
+ */
+export function rowsSince(rows, since, tsOf = (r) => r.reply_created_at) {
+  if (since == null) return rows;
+  const sinceMs = since * 1000;
+  return rows.filter((r) => {
+    const ts = tsOf(r);
+    return !ts || new Date(ts).getTime() >= sinceMs;
+  });
+}
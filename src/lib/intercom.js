@@ -0,0 +1,292 @@
+import { requireEnv } from "./env.js";
+import { currentWorkspace } from "./workspaces.js";
+import {
+  acquireIntercomToken,
+  recordRateLimitHeaders,
+  getRateLimitState,
+  msUntilReset,
+  clearRemaining,
+} from "./ratelimit.js";
+
+// Token and regional base URL of the workspace this job syncs (INTERCOM_WORKSPACE)
+const WORKSPACE = currentWorkspace();
+const INTERCOM_BASE_URL = WORKSPACE.baseUrl;
+const INTERCOM_ACCESS_TOKEN = requireEnv(WORKSPACE.tokenEnv);
+
+// Pin the API version so payload shapes don't change under us when the workspace default moves
+const INTERCOM_VERSION = process.env.INTERCOM_VERSION || "2.11";
+const INTERCOM_TIMEOUT_MS = Number(process.env.INTERCOM_TIMEOUT_MS || 30000);
+
+const MAX_ATTEMPTS = 6;
+const MAX_BACKOFF_MS = 60000;
+
+// Below this many remaining calls in the current window, wait for the reset proactively
+const RATE_LIMIT_LOW_WATERMARK = 5;
+
+// ---------- Errors ----------
+export class IntercomApiError extends Error {
+  constructor(message, { status = null, path = null, body = "" } = {}) {
+    super(message);
+    this.name = "IntercomApiError";
+    this.status = status;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+// 404: the object doesn't exist (or was deleted/merged)
+export class IntercomNotFoundError extends IntercomApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "IntercomNotFoundError";
+  }
+}
+
+// 401/403: bad or under-scoped token; retrying won't help and neither will the next object
+export class IntercomAuthError extends IntercomApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "IntercomAuthError";
+  }
+}
+
+// 429, 5xx, timeouts and network failures that were still failing after all retries
+export class IntercomRetryableError extends IntercomApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "IntercomRetryableError";
+  }
+}
+
+function retryDelayMs(res, attempt) {
+  const exponential = Math.min(MAX_BACKOFF_MS, 500 * Math.pow(2, attempt));
+  if (!res) return exponential;
+
+  const retryAfter = Number(res.headers.get("retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(MAX_BACKOFF_MS, retryAfter * 1000);
+
+  if (res.status === 429) {
+    const untilReset = msUntilReset();
+    // Small jitter so parallel workers don't all fire on the same tick
+    if (untilReset != null) return Math.min(MAX_BACKOFF_MS, untilReset + Math.floor(Math.random() * 500));
+  }
+
+  return exponential;
+}
+
+// ---------- Intercom helpers ----------
+export async function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function toUrl(pathOrUrl) {
+  return pathOrUrl.startsWith("http") ? pathOrUrl : `${INTERCOM_BASE_URL}${pathOrUrl}`;
+}
+
+/**
+ * Call the Intercom API and return the parsed JSON body (null for an empty body).
+ * Retries 429/5xx/timeouts with header-driven backoff, then throws one of the
+ * Intercom*Error classes above.
+ */
+export async function intercomRequest(method, path, bodyOrNull) {
+  const url = toUrl(path);
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const { remaining } = getRateLimitState();
+    if (remaining != null && remaining <= RATE_LIMIT_LOW_WATERMARK) {
+      const waitMs = msUntilReset();
+      if (waitMs) {
+        console.log(`Intercom rate limit low (remaining=${remaining}); waiting ${waitMs}ms for reset`);
+        await sleep(Math.min(MAX_BACKOFF_MS, waitMs));
+      }
+      clearRemaining();
+    }
+
+    // Shared budget across every job hitting this workspace
+    await acquireIntercomToken();
+
+    let res = null;
+    let text = "";
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), INTERCOM_TIMEOUT_MS);
+
+    try {
+      res = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${INTERCOM_ACCESS_TOKEN}`,
+          Accept: "application/json",
+          "Content-Type": "application/json",
+          "Intercom-Version": INTERCOM_VERSION,
+        },
+        body: bodyOrNull ? JSON.stringify(bodyOrNull) : undefined,
+        signal: controller.signal,
+      });
+      text = await res.text();
+    } catch (e) {
+      // Timeout (abort) or network failure: retryable
+      lastError = new IntercomRetryableError(
+        `Intercom ${method} ${path} failed: ${e?.name === "AbortError" ? "timed out" : e?.message ?? e}`,
+        { path }
+      );
+    } finally {
+      clearTimeout(t);
+    }
+
+    if (res) {
+      await recordRateLimitHeaders(res);
+      const code = res.status;
+      const details = { status: code, path, body: text.slice(0, 2000) };
+
+      if (code >= 200 && code < 300) {
+        if (!text) return null;
+        try {
+          return JSON.parse(text);
+        } catch {
+          throw new IntercomApiError(`Intercom ${method} ${path} returned invalid JSON`, details);
+        }
+      }
+
+      if (code === 404) throw new IntercomNotFoundError(`Intercom ${method} ${path}: not found`, details);
+
+      if (code === 401 || code === 403) {
+        throw new IntercomAuthError(`Intercom ${method} ${path}: ${code} ${details.body}`, details);
+      }
+
+      if (code !== 429 && !(code >= 500 && code <= 599)) {
+        throw new IntercomApiError(`Intercom ${method} ${path}: ${code} ${details.body}`, details);
+      }
+
+      lastError = new IntercomRetryableError(`Intercom ${method} ${path}: ${code} ${details.body}`, details);
+    }
+
+    if (attempt === MAX_ATTEMPTS) break;
+
+    const backoffMs = retryDelayMs(res, attempt);
+    console.log(
+      `Intercom retryable error ${res?.status ?? lastError.message} attempt ${attempt}/${MAX_ATTEMPTS}; sleep ${backoffMs}ms`
+    );
+    await sleep(backoffMs);
+  }
+
+  throw lastError;
+}
+
+// Resolve to null instead of throwing when the object doesn't exist
+async function nullIfNotFound(promise) {
+  try {
+    return await promise;
+  } catch (e) {
+    if (e instanceof IntercomNotFoundError) return null;
+    throw e;
+  }
+}
+
+/**
+ * Search conversations updated in [startUnix, endUnix], oldest first. `filters`
+ * are extra AND-ed query clauses (see ingestSearchFilters in ./filters.js).
+ */
+export async function searchConversationsUpdatedBetween(startUnix, endUnix, perPage, startingAfter, filters = []) {
+  const body = {
+    query: {
+      operator: "AND",
+      value: [
+        { field: "updated_at", operator: ">=", value: startUnix },
+        { field: "updated_at", operator: "<=", value: endUnix },
+        ...filters,
+      ],
+    },
+    sort: { field: "updated_at", order: "ascending" },
+    pagination: { per_page: perPage, ...(startingAfter ? { starting_after: startingAfter } : {}) },
+  };
+
+  return intercomRequest("POST", "/conversations/search", body);
+}
+
+/**
+ * Fetch a conversation with all of its parts. Intercom caps the parts returned
+ * inline, so follow conversation_parts.pages.next until exhausted.
+ * Returns null if the conversation doesn't exist.
+ */
+export async function getConversation(conversationId) {
+  const path = `/conversations/${encodeURIComponent(conversationId)}`;
+  const conversation = await nullIfNotFound(intercomRequest("GET", path, null));
+  if (!conversation) return null;
+
+  const allParts = [...(conversation?.conversation_parts?.conversation_parts || [])];
+  let next = conversation?.conversation_parts?.pages?.next || null;
+
+  while (next) {
+    const nextPath = next.uri
+      ? next.uri
+      : next.starting_after
+        ? `${path}?starting_after=${encodeURIComponent(next.starting_after)}`
+        : null;
+    if (!nextPath) break;
+
+    const page = await intercomRequest("GET", nextPath, null);
+    allParts.push(...(page?.conversation_parts?.conversation_parts || []));
+    next = page?.conversation_parts?.pages?.next || null;
+  }
+
+  conversation.conversation_parts = {
+    ...(conversation.conversation_parts || {}),
+    conversation_parts: allParts,
+    total_count: allParts.length,
+  };
+  delete conversation.conversation_parts.pages;
+
+  return conversation;
+}
+
+export async function searchContactsUpdatedBetween(startUnix, endUnix, perPage, startingAfter) {
+  const body = {
+    query: {
+      operator: "AND",
+      value: [
+        { field: "updated_at", operator: ">=", value: startUnix },
+        { field: "updated_at", operator: "<=", value: endUnix },
+      ],
+    },
+    sort: { field: "updated_at", order: "ascending" },
+    pagination: { per_page: perPage, ...(startingAfter ? { starting_after: startingAfter } : {}) },
+  };
+
+  return intercomRequest("POST", "/contacts/search", body);
+}
+
+export async function getContactCompanies(contactId) {
+  return nullIfNotFound(
+    intercomRequest("GET", `/contacts/${encodeURIComponent(contactId)}/companies`, null)
+  );
+}
+
+export async function getCompany(companyId) {
+  return nullIfNotFound(intercomRequest("GET", `/companies/${encodeURIComponent(companyId)}`, null));
+}
+
+// ---------- Tickets ----------
+// Tickets aren't returned by /conversations/search; they have their own search
+export async function searchTicketsUpdatedBetween(startUnix, endUnix, perPage, startingAfter) {
+  const body = {
+    query: {
+      operator: "AND",
+      value: [
+        { field: "updated_at", operator: ">=", value: startUnix },
+        { field: "updated_at", operator: "<=", value: endUnix },
+      ],
+    },
+    sort: { field: "updated_at", order: "ascending" },
+    pagination: { per_page: perPage, ...(startingAfter ? { starting_after: startingAfter } : {}) },
+  };
+
+  return intercomRequest("POST", "/tickets/search", body);
+}
+
+/**
+ * Fetch a ticket with its ticket_parts. Returns null if the ticket doesn't exist.
+ */
+export async function getTicket(ticketId) {
+  return nullIfNotFound(intercomRequest("GET", `/tickets/${encodeURIComponent(ticketId)}`, null));
+}
@@ -0,0 +1,142 @@
+import os from "node:os";
+import { randomUUID } from "node:crypto";
+import { supabase } from "./supabase.js";
+import { scopedKey } from "./workspaces.js";
+
+// A crashed job frees its lease after this long; live jobs heartbeat well before
+const DEFAULT_TTL_MS = 2 * 60 * 1000;
+
+export class LeaseLostError extends Error {
+  constructor(lease) {
+    super(`Lease '${lease.name}' (token ${lease.token}) is no longer held by ${lease.owner}`);
+    this.name = "LeaseLostError";
+    this.lease = lease.name;
+  }
+}
+
+function defaultOwner() {
+  const runner = process.env.GITHUB_RUN_ID ? `gh-${process.env.GITHUB_RUN_ID}` : os.hostname();
+  return `${runner}:${process.pid}:${randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * A held lease on a sync_state row ('lease:<name>'). Cursor writes go through
+ * `setState`, which is fenced on the lease token. Names and keys are scoped to
+ * the current workspace, so each workspace's jobs lease independently.
+ */
+class Lease {
+  constructor(name, owner, token, ttlMs) {
+    this.name = name;
+    this.owner = owner;
+    this.token = token;
+    this.ttlMs = ttlMs;
+    this.lost = false;
+    this.timer = null;
+  }
+
+  startHeartbeat() {
+    this.timer = setInterval(() => {
+      this.heartbeat().catch((e) => console.error(`Lease '${this.name}' heartbeat failed:`, e?.message ?? e));
+    }, Math.max(1000, Math.floor(this.ttlMs / 3)));
+    this.timer.unref();
+  }
+
+  async heartbeat() {
+    if (this.lost) return false;
+
+    const { data, error } = await supabase.rpc("sync_lease_heartbeat", {
+      p_name: this.name,
+      p_owner: this.owner,
+      p_token: this.token,
+      p_ttl_seconds: Math.ceil(this.ttlMs / 1000),
+    });
+    if (error) throw error;
+
+    if (!data) {
+      this.lost = true;
+      console.error(`Lease '${this.name}' lost (token ${this.token}); further cursor writes will be refused.`);
+    }
+    return !!data;
+  }
+
+  async setState(key, value) {
+    if (this.lost) throw new LeaseLostError(this);
+
+    const { data, error } = await supabase.rpc("sync_state_set_fenced", {
+      p_name: this.name,
+      p_token: this.token,
+      p_key: scopedKey(key),
+      p_value: String(value),
+    });
+    if (error) throw error;
+
+    if (!data) {
+      this.lost = true;
+      throw new LeaseLostError(this);
+    }
+  }
+
+  async release() {
+    clearInterval(this.timer);
+    if (this.lost) return;
+
+    const { error } = await supabase.rpc("sync_lease_release", {
+      p_name: this.name,
+      p_owner: this.owner,
+      p_token: this.token,
+    });
+    if (error) console.error(`Lease '${this.name}' release failed:`, error.message);
+  }
+}
+
+async function describeHolder(name) {
+  const { data } = await supabase
+    .from("sync_state")
+    .select("lease_owner, lease_token, lease_expires_at")
+    .eq("key", `lease:${name}`)
+    .maybeSingle();
+  return data ?? {};
+}
+
+/**
+ * Try to take the named lease. Returns a Lease (heartbeating in the background),
+ * or null when another owner holds it.
+ */
+export async function acquireLease(name, { ttlMs = DEFAULT_TTL_MS, owner = defaultOwner() } = {}) {
+  name = scopedKey(name);
+  const { data, error } = await supabase.rpc("sync_lease_acquire", {
+    p_name: name,
+    p_owner: owner,
+    p_ttl_seconds: Math.ceil(ttlMs / 1000),
+  });
+  if (error) throw error;
+  if (data == null) return null;
+
+  const lease = new Lease(name, owner, Number(data), ttlMs);
+  lease.startHeartbeat();
+  return lease;
+}
+
+/**
+ * Run `fn(lease)` while holding the named lease. When another job holds it, logs
+ * who and until when, and returns null without running `fn`.
+ */
+export async function withLease(name, fn, opts = {}) {
+  const lease = await acquireLease(name, opts);
+
+  if (!lease) {
+    const holder = await describeHolder(scopedKey(name));
+    console.log(
+      `Skipping run: lease '${name}' is held by ${holder.lease_owner ?? "another job"} ` +
+        `(token ${holder.lease_token ?? "?"}) until ${holder.lease_expires_at ?? "?"}.`
+    );
+    return null;
+  }
+
+  console.log(`Acquired lease '${name}' as ${lease.owner} (token ${lease.token}).`);
+  try {
+    return await fn(lease);
+  } finally {
+    await lease.release();
+  }
+}
@@ -0,0 +1,166 @@
+import { supabase } from "./supabase.js";
+import { WORKSPACE_ID } from "./workspaces.js";
+
+// All jobs share one bucket per Intercom workspace (see intercom_take_token in the migrations)
+const BUCKET = process.env.INTERCOM_RATE_LIMIT_BUCKET || WORKSPACE_ID;
+
+// Cap a single wait so a misconfigured bucket can't park a job for minutes
+const MAX_TOKEN_WAIT_MS = 10000;
+
+// Header reports are a DB round trip; send at most one per interval unless throttled
+const REPORT_INTERVAL_MS = 5000;
+
+// After a transient RPC error, skip the shared bucket for this long before retrying it
+const SHARED_LIMITER_COOLDOWN_MS = 60000;
+
+// ---------- Local view of the latest rate-limit headers ----------
+const rateLimit = { limit: null, remaining: null, resetAt: null, throttled: 0 };
+
+export function getRateLimitState() {
+  return { ...rateLimit };
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// ---------- Shared (cross-process) token bucket ----------
+let sharedLimiterDisabled = false;
+let sharedLimiterPausedUntil = 0;
+let lastReportAt = 0;
+
+// PostgREST PGRST202 / Postgres 42883: the RPC isn't deployed in this project
+function isMissingFunction(error) {
+  return error?.code === "PGRST202" || error?.code === "42883";
+}
+
+function sharedLimiterAvailable() {
+  return !sharedLimiterDisabled && Date.now() >= sharedLimiterPausedUntil;
+}
+
+/**
+ * Stop using the shared bucket after an RPC error: for good when the functions
+ * don't exist, otherwise for SHARED_LIMITER_COOLDOWN_MS.
+ */
+function handleSharedLimiterError(error) {
+  if (sharedLimiterDisabled) return;
+  const message = error?.message ?? error;
+
+  if (isMissingFunction(error)) {
+    sharedLimiterDisabled = true;
+    console.log(`Shared Intercom rate limiter unavailable (${message}); using per-process backoff only.`);
+    return;
+  }
+
+  if (sharedLimiterAvailable()) {
+    console.log(
+      `Shared Intercom rate limiter error (${message}); using per-process backoff for ${SHARED_LIMITER_COOLDOWN_MS / 1000}s.`
+    );
+  }
+  sharedLimiterPausedUntil = Date.now() + SHARED_LIMITER_COOLDOWN_MS;
+}
+
+/**
+ * Wait until the shared bucket grants a token for one Intercom call.
+ */
+export async function acquireIntercomToken() {
+  while (sharedLimiterAvailable()) {
+    const { data, error } = await supabase.rpc("intercom_take_token", { p_bucket: BUCKET, p_cost: 1 });
+    if (error) {
+      handleSharedLimiterError(error);
+      return;
+    }
+
+    const waitMs = Number(data) || 0;
+    if (waitMs <= 0) return;
+    await sleep(Math.min(waitMs, MAX_TOKEN_WAIT_MS));
+  }
+}
+
+async function reportToSharedBucket(throttled) {
+  if (!sharedLimiterAvailable()) return;
+  if (!throttled && Date.now() - lastReportAt < REPORT_INTERVAL_MS) return;
+  lastReportAt = Date.now();
+
+  const { error } = await supabase.rpc("intercom_report_rate_limit", {
+    p_bucket: BUCKET,
+    p_limit: rateLimit.limit,
+    p_remaining: rateLimit.remaining,
+    p_reset_at: rateLimit.resetAt ? new Date(rateLimit.resetAt).toISOString() : null,
+    p_throttled: throttled,
+  });
+  if (error) handleSharedLimiterError(error);
+}
+
+/**
+ * Record X-RateLimit-* headers from an Intercom response (and whether it was a 429),
+ * locally and in the shared bucket.
+ */
+export async function recordRateLimitHeaders(res) {
+  const h = res.headers;
+  const limit = Number(h.get("x-ratelimit-limit"));
+  const remaining = Number(h.get("x-ratelimit-remaining"));
+  const reset = Number(h.get("x-ratelimit-reset"));
+
+  if (h.has("x-ratelimit-limit") && Number.isFinite(limit)) rateLimit.limit = limit;
+  if (h.has("x-ratelimit-remaining") && Number.isFinite(remaining)) rateLimit.remaining = remaining;
+  if (h.has("x-ratelimit-reset") && Number.isFinite(reset)) rateLimit.resetAt = reset * 1000;
+
+  const throttled = res.status === 429;
+  if (throttled) rateLimit.throttled++;
+
+  await reportToSharedBucket(throttled);
+}
+
+export function msUntilReset() {
+  return rateLimit.resetAt ? Math.max(0, rateLimit.resetAt - Date.now()) : null;
+}
+
+export function clearRemaining() {
+  rateLimit.remaining = null;
+}
+
+// ---------- Adaptive concurrency ----------
+/**
+ * Run `worker(item)` over `items` with at most `maxConcurrency` in flight, scaling
+ * the actual concurrency up while Intercom reports plenty of headroom and halving
+ * it when headroom runs low or a request gets throttled (AIMD).
+ *
+ * `worker` should handle its own per-item errors; the first one that escapes stops
+ * new work from starting and is rethrown once in-flight items finish.
+ */
+export async function runWithAdaptiveConcurrency(items, maxConcurrency, worker) {
+  const max = Math.max(1, Number(maxConcurrency) || 1);
+  let target = Math.max(1, Math.ceil(max / 2));
+  let next = 0;
+  let firstError = null;
+  let seenThrottled = rateLimit.throttled;
+  const active = new Set();
+
+  while ((next < items.length && !firstError) || active.size) {
+    while (next < items.length && !firstError && active.size < target) {
+      const item = items[next++];
+      const p = Promise.resolve()
+        .then(() => worker(item))
+        .catch((e) => {
+          firstError = firstError || e;
+        })
+        .finally(() => active.delete(p));
+      active.add(p);
+    }
+
+    await Promise.race(active);
+
+    const headroom =
+      rateLimit.limit && rateLimit.remaining != null ? rateLimit.remaining / rateLimit.limit : null;
+
+    if (rateLimit.throttled > seenThrottled || (headroom != null && headroom < 0.2)) {
+      target = Math.max(1, Math.floor(target / 2));
+    } else if (headroom == null || headroom > 0.5) {
+      target = Math.min(max, target + 1);
+    }
+    seenThrottled = rateLimit.throttled;
+  }
+
+  if (firstError) throw firstError;
+}
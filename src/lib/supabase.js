@@ -0,0 +1,298 @@
+import { createClient } from "@supabase/supabase-js";
+import { requireEnv } from "./env.js";
+import { WORKSPACE_ID, scopedKey } from "./workspaces.js";
+
+const SUPABASE_URL = requireEnv("SUPABASE_URL");
+const SUPABASE_SERVICE_ROLE_KEY = requireEnv("SUPABASE_SERVICE_ROLE_KEY");
+
+export const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false },
+});
+
+// ---------- Supabase state helpers ----------
+export async function getState(key) {
+  const { data, error } = await supabase
+    .from("sync_state")
+    .select("value")
+    .eq("key", scopedKey(key))
+    .maybeSingle();
+  if (error) throw error;
+  return data?.value ?? "";
+}
+
+export async function setState(key, value) {
+  const { error } = await supabase
+    .from("sync_state")
+    .upsert({ key: scopedKey(key), value: String(value) }, { onConflict: "key" });
+  if (error) throw error;
+}
+
+// ---------- DB insert (dedupe via unique index) ----------
+// Rows of the workspace-keyed tables (replies, conversations, raw_conversations,
+// tickets)
+// belong to the workspace this job syncs
+function withWorkspace(rows) {
+  return rows.map((r) => ({ ...r, workspace_id: WORKSPACE_ID }));
+}
+
+/**
+ * Upsert reply rows on part_id through the upsert_replies RPC, which merges each
+ * column by its rule in replies_merge_policy (by default a null never overwrites
+ * a stored value). Rows may be partial; columns a batch omits are left alone, so
+ * keep the key set the same across rows in one call.
+ */
+export async function upsertReplies(rows) {
+  if (!rows.length) return { upserted: 0 };
+
+  const { data, error } = await supabase.rpc("upsert_replies", { p_rows: withWorkspace(rows) });
+  if (error) throw error;
+
+  return { upserted: Number(data) || 0 };
+}
+
+export async function upsertConversationMessages(rows) {
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("conversation_messages")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,part_id" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+/**
+ * Stored conversations.updated_at for `conversationIds`, as Map<id, epoch seconds>.
+ */
+export async function getStoredConversationUpdatedAt(conversationIds) {
+  const ids = Array.from(new Set(conversationIds.filter(Boolean).map(String)));
+  const out = new Map();
+  if (!ids.length) return out;
+
+  const { data, error } = await supabase
+    .from("conversations")
+    .select("conversation_id, updated_at")
+    .eq("workspace_id", WORKSPACE_ID)
+    .in("conversation_id", ids);
+  if (error) throw error;
+
+  for (const r of data ?? []) {
+    if (r.updated_at) out.set(String(r.conversation_id), Math.floor(new Date(r.updated_at).getTime() / 1000));
+  }
+  return out;
+}
+
+export async function upsertConversations(rows) {
+  rows = rows.filter(Boolean);
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("conversations")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,conversation_id" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+export async function upsertConversationStatistics(rows) {
+  rows = rows.filter(Boolean);
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("conversation_statistics")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,conversation_id" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+export async function upsertConversationRatings(rows) {
+  rows = rows.filter(Boolean);
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("conversation_ratings")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,conversation_id" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+// Only metadata columns are sent, so storage_* (owned by the archiver) survive re-syncs
+export async function upsertConversationAttachments(rows) {
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("conversation_attachments")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,part_id,position" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+// A version is archived once; re-fetching an unchanged conversation is a no-op
+export async function upsertRawConversations(rows) {
+  rows = rows.filter(Boolean);
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("raw_conversations")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,conversation_id,updated_at", ignoreDuplicates: true });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+export async function upsertConversationEvents(rows) {
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("conversation_events")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,part_id" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+// ---------- Tickets ----------
+/**
+ * Stored tickets.updated_at for `ticketIds`, as Map<id, epoch seconds>.
+ */
+export async function getStoredTicketUpdatedAt(ticketIds) {
+  const ids = Array.from(new Set(ticketIds.filter(Boolean).map(String)));
+  const out = new Map();
+  if (!ids.length) return out;
+
+  const { data, error } = await supabase
+    .from("tickets")
+    .select("ticket_id, updated_at")
+    .eq("workspace_id", WORKSPACE_ID)
+    .in("ticket_id", ids);
+  if (error) throw error;
+
+  for (const r of data ?? []) {
+    if (r.updated_at) out.set(String(r.ticket_id), Math.floor(new Date(r.updated_at).getTime() / 1000));
+  }
+  return out;
+}
+
+export async function upsertTickets(rows) {
+  rows = rows.filter(Boolean);
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("tickets")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,ticket_id" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+export async function upsertTicketParts(rows) {
+  if (!rows.length) return { upserted: 0 };
+
+  const { error } = await supabase
+    .from("ticket_parts")
+    .upsert(withWorkspace(rows), { onConflict: "workspace_id,part_id" });
+
+  if (error) throw error;
+  return { upserted: rows.length };
+}
+
+// Drop dead-letter rows (see src/lib/failures.js) once a conversation (or, with
+// kind "ticket", a ticket) has been written
+export async function resolveSyncFailures(conversationIds, kind = "conversation") {
+  const ids = Array.from(new Set(conversationIds.filter(Boolean).map(String)));
+  if (!ids.length) return;
+
+  const { error } = await supabase
+    .from("sync_failures")
+    .delete()
+    .eq("workspace_id", WORKSPACE_ID)
+    .eq("kind", kind)
+    .in("conversation_id", ids);
+  if (error) throw error;
+}
+
+/**
+ * Replace the stored tags of `conversationIds` with `tagRows` (the tags they carry
+ * now), recording an added/removed event in conversation_tag_events for each change.
+ * `emitEvents: false` only replaces the tags (replays of archived payloads).
+ */
+export async function syncConversationTags(conversationIds, tagRows, { emitEvents = true } = {}) {
+  const ids = Array.from(new Set(conversationIds.filter(Boolean).map(String)));
+  if (!ids.length) return { added: 0, removed: 0 };
+
+  const { data: existing, error: selErr } = await supabase
+    .from("conversation_tags")
+    .select("conversation_id, tag_id, tag_name")
+    .eq("workspace_id", WORKSPACE_ID)
+    .in("conversation_id", ids);
+  if (selErr) throw selErr;
+
+  const key = (r) => `${r.conversation_id}:${r.tag_id}`;
+  const before = new Map((existing ?? []).map((r) => [key(r), r]));
+  const after = new Map(tagRows.map((r) => [key(r), r]));
+  const observedAt = new Date().toISOString();
+
+  const events = [];
+  const removedByConversation = new Map();
+
+  for (const [k, r] of after) {
+    if (before.has(k)) continue;
+    events.push({
+      workspace_id: WORKSPACE_ID,
+      conversation_id: r.conversation_id,
+      tag_id: r.tag_id,
+      tag_name: r.tag_name,
+      event: "added",
+      occurred_at: r.applied_at || observedAt,
+      actor_id: r.applied_by,
+      observed_at: observedAt,
+    });
+  }
+
+  for (const [k, r] of before) {
+    if (after.has(k)) continue;
+    // Intercom doesn't say when a tag was removed; the best we know is when we noticed
+    events.push({
+      workspace_id: WORKSPACE_ID,
+      conversation_id: r.conversation_id,
+      tag_id: r.tag_id,
+      tag_name: r.tag_name,
+      event: "removed",
+      occurred_at: observedAt,
+      actor_id: null,
+      observed_at: observedAt,
+    });
+    if (!removedByConversation.has(r.conversation_id)) removedByConversation.set(r.conversation_id, []);
+    removedByConversation.get(r.conversation_id).push(r.tag_id);
+  }
+
+  for (const [conversationId, tagIds] of removedByConversation) {
+    const { error } = await supabase
+      .from("conversation_tags")
+      .delete()
+      .eq("workspace_id", WORKSPACE_ID)
+      .eq("conversation_id", conversationId)
+      .in("tag_id", tagIds);
+    if (error) throw error;
+  }
+
+  if (tagRows.length) {
+    const { error } = await supabase
+      .from("conversation_tags")
+      .upsert(withWorkspace(tagRows), { onConflict: "workspace_id,conversation_id,tag_id" });
+    if (error) throw error;
+  }
+
+  if (!emitEvents) return { added: 0, removed: 0 };
+
+  if (events.length) {
+    const { error } = await supabase.from("conversation_tag_events").insert(events);
+    if (error) throw error;
+  }
+
+  const added = events.filter((e) => e.event === "added").length;
+  return { added, removed: events.length - added };
+}
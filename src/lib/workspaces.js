@@ -0,0 +1,39 @@
+// ---------- Intercom workspaces ----------
+// Every Intercom workspace synced into this Supabase project. A job works on one
+// workspace, picked by INTERCOM_WORKSPACE (default "default"), and stamps the
+// rows it writes with that id. Tokens stay in the env var named by tokenEnv.
+// EU/AU workspaces use https://api.eu.intercom.io / https://api.au.intercom.io.
+//
+// To add a workspace, register it here, e.g.
+//   brand2: { tokenEnv: "INTERCOM_ACCESS_TOKEN_BRAND2", baseUrl: "https://api.eu.intercom.io" },
+// and run the jobs with INTERCOM_WORKSPACE=brand2 and that token set.
+export const DEFAULT_WORKSPACE_ID = "default";
+
+const WORKSPACES = {
+  [DEFAULT_WORKSPACE_ID]: { tokenEnv: "INTERCOM_ACCESS_TOKEN", baseUrl: "https://api.intercom.io" },
+};
+
+export const WORKSPACE_ID = process.env.INTERCOM_WORKSPACE || DEFAULT_WORKSPACE_ID;
+
+// Checked on load, so no job (Intercom-facing or not) reads or stamps rows under a
+// mistyped workspace id
+if (!WORKSPACES[WORKSPACE_ID]) {
+  throw new Error(
+    `Unknown INTERCOM_WORKSPACE '${WORKSPACE_ID}' (registered: ${Object.keys(WORKSPACES).join(", ")}).`
+  );
+}
+
+/**
+ * The registry entry for INTERCOM_WORKSPACE: { id, tokenEnv, baseUrl }.
+ */
+export function currentWorkspace() {
+  return { id: WORKSPACE_ID, ...WORKSPACES[WORKSPACE_ID] };
+}
+
+/**
+ * Scope a sync_state key (or lease name) to the current workspace. The default
+ * workspace keeps the original unprefixed keys, so its cursors carry over.
+ */
+export function scopedKey(key) {
+  return WORKSPACE_ID === DEFAULT_WORKSPACE_ID ? key : `${WORKSPACE_ID}:${key}`;
+}
@@ -0,0 +1,91 @@
+/**
+ * src/report_rating_tone.js
+ *
+ * Prints how customer CSAT ratings correlate with the tone_scores dimensions
+ * (empathy, clarity, ownership, professionalism), overall and per teammate/week.
+ * Reads the rating_tone_correlation* views for one workspace (INTERCOM_WORKSPACE);
+ * also writes a Markdown job summary when run in GitHub Actions.
+ *
+ * Optional env:
+ *   REPORT_WEEKS (default 8)
+ */
+
+import fs from "node:fs";
+import { supabase } from "./lib/supabase.js";
+import { WORKSPACE_ID } from "./lib/workspaces.js";
+
+const REPORT_WEEKS = Number(process.env.REPORT_WEEKS ?? "8");
+
+const DIMENSIONS = ["empathy", "clarity", "ownership", "professionalism"];
+
+function fmt(v) {
+  return v == null ? "–" : String(v);
+}
+
+function toMarkdownTable(rows, columns) {
+  const header = `| ${columns.join(" | ")} |`;
+  const sep = `| ${columns.map(() => "---").join(" | ")} |`;
+  const body = rows.map((r) => `| ${columns.map((c) => fmt(r[c])).join(" | ")} |`);
+  return [header, sep, ...body].join("\n");
+}
+
+async function main() {
+  const { data: overall, error: overallErr } = await supabase
+    .from("rating_tone_correlation")
+    .select("*")
+    .eq("workspace_id", WORKSPACE_ID)
+    .order("rated_conversations", { ascending: false });
+  if (overallErr) throw overallErr;
+
+  const since = new Date(Date.now() - REPORT_WEEKS * 7 * 24 * 60 * 60 * 1000).toISOString();
+  const { data: weekly, error: weeklyErr } = await supabase
+    .from("rating_tone_correlation_weekly")
+    .select("*")
+    .eq("workspace_id", WORKSPACE_ID)
+    .gte("rated_week", since)
+    .order("rated_week", { ascending: false })
+    .order("rated_conversations", { ascending: false });
+  if (weeklyErr) throw weeklyErr;
+
+  const corrColumns = DIMENSIONS.map((d) => `corr_${d}`);
+  const overallColumns = ["teammate_name", "teammate_id", "rated_conversations", "avg_rating", ...corrColumns];
+  const weeklyColumns = [
+    "rated_week",
+    "teammate_name",
+    "rated_conversations",
+    "avg_rating",
+    ...DIMENSIONS.map((d) => `avg_${d}`),
+    ...corrColumns,
+  ];
+
+  // The grouping-sets row with no teammate is the whole-team total
+  const overallRows = (overall ?? []).map((r) =>
+    r.teammate_id == null ? { ...r, teammate_name: "(all teammates)" } : r
+  );
+  const weeklyRows = (weekly ?? []).map((r) => ({ ...r, rated_week: String(r.rated_week).slice(0, 10) }));
+
+  console.log("CSAT vs tone (all time):");
+  console.table(overallRows, overallColumns);
+  console.log(`CSAT vs tone per teammate/week (last ${REPORT_WEEKS} weeks):`);
+  console.table(weeklyRows, weeklyColumns);
+
+  const summaryPath = process.env.GITHUB_STEP_SUMMARY;
+  if (summaryPath) {
+    fs.appendFileSync(
+      summaryPath,
+      [
+        "## CSAT vs tone (all time)",
+        toMarkdownTable(overallRows, overallColumns),
+        "",
+        `## CSAT vs tone per teammate/week (last ${REPORT_WEEKS} weeks)`,
+        toMarkdownTable(weeklyRows, weeklyColumns),
+        "",
+      ].join("\n")
+    );
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * src/report_sync_failures.js
+ *
+ * Status of the sync_failures dead-letter queue: counts by kind/status/error
+ * class, and every conversation or ticket that ran out of retries ('dead'). Also writes a Markdown
+ * job summary when run in GitHub Actions, and exits non-zero when anything is
+ * dead so the workflow run shows up as failed.
+ *
+ * Optional env:
+ *   REPORT_LIMIT (default 200)   // dead rows listed
+ */
+
+import fs from "node:fs";
+import { supabase } from "./lib/supabase.js";
+
+const REPORT_LIMIT = Number(process.env.REPORT_LIMIT ?? "200");
+
+function fmt(v) {
+  return v == null ? "–" : String(v).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+function toMarkdownTable(rows, columns) {
+  const header = `| ${columns.join(" | ")} |`;
+  const sep = `| ${columns.map(() => "---").join(" | ")} |`;
+  const body = rows.map((r) => `| ${columns.map((c) => fmt(r[c])).join(" | ")} |`);
+  return [header, sep, ...body].join("\n");
+}
+
+async function main() {
+  const { data: all, error } = await supabase.from("sync_failures").select("kind, status, error_class, attempts");
+  if (error) throw error;
+
+  const byKey = new Map();
+  for (const r of all ?? []) {
+    const key = `${r.kind}:${r.status}:${r.error_class}`;
+    const agg = byKey.get(key) ?? { kind: r.kind, status: r.status, error_class: r.error_class, rows: 0, max_attempts: 0 };
+    agg.rows++;
+    agg.max_attempts = Math.max(agg.max_attempts, r.attempts);
+    byKey.set(key, agg);
+  }
+  const summaryRows = [...byKey.values()].sort((a, b) => b.rows - a.rows);
+
+  const { data: dead, error: deadErr } = await supabase
+    .from("sync_failures")
+    .select("workspace_id, kind, conversation_id, source, error_class, error_message, attempts, first_failed_at, last_failed_at")
+    .eq("status", "dead")
+    .order("last_failed_at", { ascending: false })
+    .limit(REPORT_LIMIT);
+  if (deadErr) throw deadErr;
+
+  const summaryColumns = ["kind", "status", "error_class", "rows", "max_attempts"];
+  const deadColumns = ["workspace_id", "kind", "conversation_id", "source", "error_class", "attempts", "first_failed_at", "last_failed_at", "error_message"];
+
+  console.log("Sync failures by kind/status/error:");
+  console.table(summaryRows, summaryColumns);
+  console.log(`Dead rows (out of retries, newest first, max ${REPORT_LIMIT}):`);
+  console.table(dead ?? [], deadColumns);
+
+  const summaryPath = process.env.GITHUB_STEP_SUMMARY;
+  if (summaryPath) {
+    fs.appendFileSync(
+      summaryPath,
+      [
+        "## Sync failures",
+        summaryRows.length ? toMarkdownTable(summaryRows, summaryColumns) : "Queue is empty.",
+        "",
+        "## Dead rows",
+        dead?.length ? toMarkdownTable(dead, deadColumns) : "None.",
+        "",
+      ].join("\n")
+    );
+  }
+
+  if (dead?.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+/**
+ * src/reprocess.js
+ *
+ * Rebuilds public.replies and the conversation-level tables (conversations,
+ * conversation_messages, statistics, ratings, events, tags) from the newest
+ * archived payload of each conversation in public.raw_conversations. Makes no
+ * Intercom calls; run it after changing extraction logic in src/lib/extract.js.
+ * Tags are rewritten without adding conversation_tag_events.
+ *
+ * Required env:
+ *   SUPABASE_URL
+ *   SUPABASE_SERVICE_ROLE_KEY
+ *
+ * Optional env:
+ *   CONVERSATION_IDS (comma-separated; only these conversations)
+ *   UPDATED_SINCE (ISO; only conversations whose archived updated_at >= this)
+ *   START_AFTER_ID (resume after this conversation_id, as logged by a previous run)
+ *   MAX_CONVERSATIONS (default: no limit)
+ *   PAGE_SIZE (default 100)
+ */
+
+import { supabase, upsertReplies } from "./lib/supabase.js";
+import { WORKSPACE_ID } from "./lib/workspaces.js";
+import { decodeRawConversation } from "./lib/archive.js";
+import { buildReplyRows } from "./lib/extract.js";
+import { newConversationBatch, addConversation, writeConversationBatch } from "./lib/ingest.js";
+
+const CONVERSATION_IDS = String(process.env.CONVERSATION_IDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const UPDATED_SINCE = process.env.UPDATED_SINCE || "";
+const START_AFTER_ID = process.env.START_AFTER_ID || "";
+const MAX_CONVERSATIONS = Number(process.env.MAX_CONVERSATIONS || Infinity);
+const PAGE_SIZE = Number(process.env.PAGE_SIZE ?? "100");
+
+async function nextArchivedPage(afterId) {
+  let q = supabase
+    .from("raw_conversations_latest")
+    .select("conversation_id, updated_at, payload_gz")
+    .eq("workspace_id", WORKSPACE_ID)
+    .order("conversation_id", { ascending: true })
+    .limit(PAGE_SIZE);
+
+  if (afterId) q = q.gt("conversation_id", afterId);
+  if (CONVERSATION_IDS.length) q = q.in("conversation_id", CONVERSATION_IDS);
+  if (UPDATED_SINCE) q = q.gte("updated_at", new Date(UPDATED_SINCE).toISOString());
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data ?? [];
+}
+
+async function main() {
+  console.log("Reprocess starting", {
+    conversation_ids: CONVERSATION_IDS.length || "all",
+    UPDATED_SINCE: UPDATED_SINCE || null,
+    START_AFTER_ID: START_AFTER_ID || null,
+    MAX_CONVERSATIONS,
+  });
+
+  let cursor = START_AFTER_ID;
+  let processed = 0;
+  let undecodable = 0;
+  let rowsUpserted = 0;
+
+  while (processed < MAX_CONVERSATIONS) {
+    const page = await nextArchivedPage(cursor);
+    if (!page.length) break;
+
+    const rows = [];
+    const batch = newConversationBatch({ archive: false, tagEvents: false, resolveFailures: false });
+
+    for (const raw of page) {
+      if (processed >= MAX_CONVERSATIONS) break;
+      cursor = raw.conversation_id;
+
+      let conversation;
+      try {
+        conversation = decodeRawConversation(raw);
+      } catch (e) {
+        console.error(`Reprocess: cannot decode conversation=${raw.conversation_id}:`, e?.message ?? e);
+      }
+      if (!conversation) {
+        undecodable++;
+        continue;
+      }
+
+      rows.push(...buildReplyRows(conversation));
+      addConversation(batch, conversation);
+      processed++;
+    }
+
+    if (rows.length) {
+      const { upserted } = await upsertReplies(rows);
+      rowsUpserted += upserted;
+    }
+    await writeConversationBatch(batch);
+
+    console.log(`Reprocess: conversations=${processed} upserted_rows=${rowsUpserted} cursor=${cursor}`);
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  console.log("Reprocess done:", { processed, undecodable, rowsUpserted, last_conversation_id: cursor || null });
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
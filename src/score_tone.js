@@ -345,7 +345,8 @@ async function fetchBatch({ cursorTs, boundaryTs, limit }) {
   // (Later we can optimize with an RPC for pure SQL anti-join.)
   let q = supabase
     .from("replies")
-    .select("part_id, conversation_id, teammate_name, user_prev_message, agent_reply, reply_created_at")
+    .select("workspace_id, part_id, conversation_id, teammate_id, teammate_name, user_prev_message, agent_reply, reply_created_at")
+    .or("author_type.is.null,author_type.eq.admin") // human teammates only; bot replies are reported separately
     .order("reply_created_at", { ascending: true })
     .limit(500); // window to find unscored
 
@@ -362,13 +363,14 @@ async function fetchBatch({ cursorTs, boundaryTs, limit }) {
 
   const { data: scored, error: scoredErr } = await supabase
     .from("tone_scores")
-    .select("part_id")
+    .select("workspace_id, part_id")
     .in("part_id", ids);
 
   if (scoredErr) throw scoredErr;
 
-  const scoredSet = new Set((scored || []).map((s) => s.part_id));
-  const unscored = candidates.filter((r) => !scoredSet.has(r.part_id));
+  // part_id is only unique within an Intercom workspace
+  const scoredSet = new Set((scored || []).map((s) => `${s.workspace_id}:${s.part_id}`));
+  const unscored = candidates.filter((r) => !scoredSet.has(`${r.workspace_id}:${r.part_id}`));
 
   // Filter internal notes + empty
   const filtered = unscored.filter((r) => {
@@ -453,8 +455,10 @@ async function main() {
 
       const row = {
         scored_at: new Date().toISOString(),
+        workspace_id: r.workspace_id,
         part_id: r.part_id,
         conversation_id: r.conversation_id,
+        teammate_id: r.teammate_id,
         teammate_name: r.teammate_name,
 
         empathy: score.empathy,
@@ -474,7 +478,7 @@ async function main() {
 
       const { error } = await supabase
         .from("tone_scores")
-        .upsert(row, { onConflict: "part_id" });
+        .upsert(row, { onConflict: "workspace_id,part_id" });
 
       if (error) throw error;
 
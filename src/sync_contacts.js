@@ -0,0 +1,209 @@
+/**
+ * src/sync_contacts.js
+ *
+ * Incremental contacts + companies sync:
+ * - POST /contacts/search on updated_at in (last_run - lookback, now]
+ * - Upserts public.contacts (users and leads), public.companies and the
+ *   public.contact_companies link table
+ *
+ * The first run has no last_run and walks every contact; the cursor is persisted
+ * after each page so a capped run resumes where it stopped. Runs hold the
+ * 'contacts' lease, so an overlapping run skips instead of racing the cursor.
+ * Rows are keyed by workspace (INTERCOM_WORKSPACE).
+ */
+
+import { supabase, getState } from "./lib/supabase.js";
+import { WORKSPACE_ID } from "./lib/workspaces.js";
+import { withLease } from "./lib/lease.js";
+import {
+  searchContactsUpdatedBetween,
+  getContactCompanies,
+  getCompany,
+} from "./lib/intercom.js";
+
+const LOOKBACK_MINUTES = 60;
+const SEARCH_PER_PAGE = 150;
+const MAX_CONTACTS_PER_RUN = 3000;
+
+const CONTACTS_LAST_RUN_KEY = "contacts_last_run_iso";
+const CONTACTS_WINDOW_END_KEY = "contacts_window_end_iso";
+const CONTACTS_CURSOR_KEY = "contacts_starting_after";
+const CONTACTS_LEASE = "contacts";
+
+function epochToIso(ts) {
+  const n = ts ? Number(ts) : null;
+  return n ? new Date(n * 1000).toISOString() : null;
+}
+
+function buildContactRow(contact) {
+  const loc = contact?.location || {};
+
+  return {
+    workspace_id: WORKSPACE_ID,
+    pulled_at: new Date().toISOString(),
+    contact_id: String(contact.id),
+    external_id: contact?.external_id != null ? String(contact.external_id) : null,
+    role: contact?.role ?? null,
+    email: contact?.email ?? null,
+    name: contact?.name ?? null,
+    phone: contact?.phone ?? null,
+    country: loc?.country ?? null,
+    region: loc?.region ?? null,
+    city: loc?.city ?? null,
+    custom_attributes: contact?.custom_attributes ?? {},
+    created_at: epochToIso(contact?.created_at),
+    updated_at: epochToIso(contact?.updated_at),
+    signed_up_at: epochToIso(contact?.signed_up_at),
+    last_seen_at: epochToIso(contact?.last_seen_at),
+  };
+}
+
+function buildCompanyRow(company) {
+  return {
+    workspace_id: WORKSPACE_ID,
+    pulled_at: new Date().toISOString(),
+    company_id: String(company.id),
+    external_company_id: company?.company_id != null ? String(company.company_id) : null,
+    name: company?.name ?? null,
+    plan: company?.plan?.name ?? null,
+    industry: company?.industry ?? null,
+    size: company?.size ?? null,
+    monthly_spend: company?.monthly_spend ?? null,
+    user_count: company?.user_count ?? null,
+    custom_attributes: company?.custom_attributes ?? {},
+    created_at: epochToIso(company?.created_at),
+    updated_at: epochToIso(company?.updated_at),
+  };
+}
+
+/**
+ * Company ids linked to a contact. The search payload only embeds the first page,
+ * so fall back to /contacts/{id}/companies when Intercom says there is more.
+ */
+async function companyIdsForContact(contact) {
+  const list = contact?.companies;
+  let items = Array.isArray(list?.data) ? list.data : [];
+
+  if (list?.has_more) {
+    const resp = await getContactCompanies(contact.id);
+    if (Array.isArray(resp?.data)) items = resp.data;
+  }
+
+  return items.map((c) => c?.id).filter(Boolean).map(String);
+}
+
+async function upsertContactsPage(contacts, companyCache) {
+  const contactRows = [];
+  const links = [];
+
+  for (const c of contacts) {
+    if (!c?.id) continue;
+    contactRows.push(buildContactRow(c));
+    for (const companyId of await companyIdsForContact(c)) {
+      links.push({ workspace_id: WORKSPACE_ID, contact_id: String(c.id), company_id: companyId });
+    }
+  }
+
+  // Companies are fetched at most once per run
+  const companyRows = [];
+  for (const { company_id } of links) {
+    if (companyCache.has(company_id)) continue;
+    companyCache.add(company_id);
+
+    const company = await getCompany(company_id);
+    if (company?.id) companyRows.push(buildCompanyRow(company));
+  }
+
+  if (companyRows.length) {
+    const { error } = await supabase
+      .from("companies")
+      .upsert(companyRows, { onConflict: "workspace_id,company_id" });
+    if (error) throw error;
+  }
+
+  if (contactRows.length) {
+    const { error } = await supabase
+      .from("contacts")
+      .upsert(contactRows, { onConflict: "workspace_id,contact_id" });
+    if (error) throw error;
+
+    // Replace each contact's company links with what Intercom has now
+    const ids = contactRows.map((r) => r.contact_id);
+    const { error: delErr } = await supabase
+      .from("contact_companies")
+      .delete()
+      .eq("workspace_id", WORKSPACE_ID)
+      .in("contact_id", ids);
+    if (delErr) throw delErr;
+  }
+
+  if (links.length) {
+    const { error } = await supabase
+      .from("contact_companies")
+      .upsert(links, { onConflict: "workspace_id,contact_id,company_id" });
+    if (error) throw error;
+  }
+
+  return { contacts: contactRows.length, companies: companyRows.length };
+}
+
+async function syncContacts(lease) {
+  const lastRunIso = await getState(CONTACTS_LAST_RUN_KEY);
+  const start = lastRunIso
+    ? new Date(new Date(lastRunIso).getTime() - LOOKBACK_MINUTES * 60 * 1000)
+    : new Date(0);
+
+  // Keep the window end stable while a cursor is outstanding, so resumed pages
+  // belong to the same search.
+  let startingAfter = (await getState(CONTACTS_CURSOR_KEY)) || null;
+  const storedEndIso = await getState(CONTACTS_WINDOW_END_KEY);
+  const end = startingAfter && storedEndIso ? new Date(storedEndIso) : new Date();
+  await lease.setState(CONTACTS_WINDOW_END_KEY, end.toISOString());
+
+  const startUnix = Math.floor(start.getTime() / 1000);
+  const endUnix = Math.floor(end.getTime() / 1000);
+
+  const companyCache = new Set();
+  let processed = 0;
+  let companies = 0;
+  let pages = 0;
+
+  while (processed < MAX_CONTACTS_PER_RUN) {
+    const searchResp = await searchContactsUpdatedBetween(
+      startUnix,
+      endUnix,
+      SEARCH_PER_PAGE,
+      startingAfter
+    );
+
+    const contacts = searchResp?.data || [];
+    const nextStartingAfter =
+      searchResp?.pages?.next?.starting_after ? String(searchResp.pages.next.starting_after) : null;
+
+    const res = await upsertContactsPage(contacts, companyCache);
+    processed += res.contacts;
+    companies += res.companies;
+    pages++;
+
+    startingAfter = nextStartingAfter;
+    await lease.setState(CONTACTS_CURSOR_KEY, startingAfter || "");
+
+    if (!nextStartingAfter) {
+      await lease.setState(CONTACTS_LAST_RUN_KEY, end.toISOString());
+      break;
+    }
+  }
+
+  console.log(
+    `Contacts: pages=${pages} contacts=${processed} companies=${companies} next_cursor=${startingAfter || "none"}`
+  );
+}
+
+async function main() {
+  await withLease(CONTACTS_LEASE, syncContacts);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+/**
+ * src/sync_directory.js
+ *
+ * Mirrors the Intercom workspace directory into Supabase:
+ * - GET /admins -> public.intercom_admins
+ * - GET /teams  -> public.intercom_teams
+ *
+ * Admins/teams missing from the latest pull are kept but flagged active = false,
+ * so historical replies and tone scores still resolve to a name. Rows are keyed
+ * by workspace (INTERCOM_WORKSPACE), so each workspace's directory is kept apart.
+ */
+
+import { supabase } from "./lib/supabase.js";
+import { WORKSPACE_ID } from "./lib/workspaces.js";
+import { intercomRequest } from "./lib/intercom.js";
+
+function idList(arr) {
+  return Array.isArray(arr) ? arr.map((x) => String(x)) : [];
+}
+
+function buildAdminRow(admin, syncedAt) {
+  return {
+    workspace_id: WORKSPACE_ID,
+    admin_id: String(admin.id),
+    name: admin?.name ?? null,
+    email: admin?.email ?? null,
+    job_title: admin?.job_title ?? null,
+    away_mode_enabled: typeof admin?.away_mode_enabled === "boolean" ? admin.away_mode_enabled : null,
+    away_mode_reassign:
+      typeof admin?.away_mode_reassign === "boolean" ? admin.away_mode_reassign : null,
+    has_inbox_seat: typeof admin?.has_inbox_seat === "boolean" ? admin.has_inbox_seat : null,
+    team_ids: idList(admin?.team_ids),
+    active: true,
+    synced_at: syncedAt,
+  };
+}
+
+function buildTeamRow(team, syncedAt) {
+  return {
+    workspace_id: WORKSPACE_ID,
+    team_id: String(team.id),
+    name: team?.name ?? null,
+    admin_ids: idList(team?.admin_ids),
+    active: true,
+    synced_at: syncedAt,
+  };
+}
+
+async function upsertAndDeactivateMissing(table, idColumn, rows) {
+  // An empty list is far more likely an API hiccup than an empty workspace
+  if (!rows.length) return 0;
+
+  const { error } = await supabase.from(table).upsert(rows, { onConflict: `workspace_id,${idColumn}` });
+  if (error) throw error;
+
+  // Anything we didn't just see is no longer in the workspace
+  const seen = rows.map((r) => `"${r[idColumn]}"`).join(",");
+  const { data, error: deactivateErr } = await supabase
+    .from(table)
+    .update({ active: false })
+    .eq("workspace_id", WORKSPACE_ID)
+    .eq("active", true)
+    .not(idColumn, "in", `(${seen})`)
+    .select(idColumn);
+
+  if (deactivateErr) throw deactivateErr;
+  return data?.length ?? 0;
+}
+
+async function main() {
+  const syncedAt = new Date().toISOString();
+
+  const adminsResp = await intercomRequest("GET", "/admins", null);
+  if (!Array.isArray(adminsResp?.admins)) throw new Error("Intercom /admins returned no admin list.");
+
+  const teamsResp = await intercomRequest("GET", "/teams", null);
+  if (!Array.isArray(teamsResp?.teams)) throw new Error("Intercom /teams returned no team list.");
+
+  const adminRows = adminsResp.admins.filter((a) => a?.id).map((a) => buildAdminRow(a, syncedAt));
+  const teamRows = teamsResp.teams.filter((t) => t?.id).map((t) => buildTeamRow(t, syncedAt));
+
+  const adminsDeactivated = await upsertAndDeactivateMissing("intercom_admins", "admin_id", adminRows);
+  const teamsDeactivated = await upsertAndDeactivateMissing("intercom_teams", "team_id", teamRows);
+
+  console.log("Directory sync done:", {
+    admins: adminRows.length,
+    admins_deactivated: adminsDeactivated,
+    teams: teamRows.length,
+    teams_deactivated: teamsDeactivated,
+  });
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+/**
+ * src/sync_tickets.js
+ *
+ * Incremental Intercom tickets sync (tickets never appear in /conversations/search):
+ * - POST /tickets/search on updated_at in (last_run - lookback, now], then
+ *   GET /tickets/{id} for every ticket that changed since it was last stored
+ * - Upserts public.tickets (type, state, custom attributes, linked conversation
+ *   ids) and public.ticket_parts
+ * - Teammate and bot replies on tickets go to public.replies (ticket_id set), so
+ *   src/score_tone.js scores them like conversation replies
+ *
+ * The first run has no last run and walks every ticket (or from TICKETS_SINCE).
+ * The cursor is persisted after each page so a capped run resumes where it
+ * stopped. Tickets that can't be fetched are recorded in sync_failures
+ * (kind 'ticket') and retried at the start of later runs. Runs hold the
+ * 'tickets' lease.
+ *
+ * Required env:
+ *   SUPABASE_URL
+ *   SUPABASE_SERVICE_ROLE_KEY
+ *   INTERCOM_ACCESS_TOKEN (or the tokenEnv of INTERCOM_WORKSPACE in src/lib/workspaces.js)
+ *
+ * Optional env:
+ *   TICKETS_SINCE (ISO; first run only, default: all tickets)
+ */
+
+import {
+  getState,
+  upsertReplies,
+  upsertTickets,
+  upsertTicketParts,
+  getStoredTicketUpdatedAt,
+  resolveSyncFailures,
+} from "./lib/supabase.js";
+import { withLease } from "./lib/lease.js";
+import { searchTicketsUpdatedBetween } from "./lib/intercom.js";
+import { fetchTicketForSync, dueSyncFailures } from "./lib/failures.js";
+import { buildTicketRow, buildTicketPartRows, buildTicketReplyRows } from "./lib/extract.js";
+import { rowsSince } from "./lib/ingest.js";
+
+const LOOKBACK_MINUTES = 30;
+const SEARCH_PER_PAGE = 50;
+const MAX_TICKETS_PER_RUN = 500;
+
+const TICKETS_LAST_RUN_KEY = "tickets_last_run_iso";
+const TICKETS_WINDOW_END_KEY = "tickets_window_end_iso";
+const TICKETS_CURSOR_KEY = "tickets_starting_after";
+const TICKETS_LEASE = "tickets";
+
+async function syncTicketsPage(tickets, totals) {
+  const stored = await getStoredTicketUpdatedAt(tickets.map((t) => t?.id));
+
+  const replyRows = [];
+  const partRows = [];
+  const ticketRows = [];
+
+  for (const t of tickets) {
+    if (!t?.id) continue;
+    const id = String(t.id);
+    const since = stored.get(id) ?? null;
+    const updatedAt = Number(t?.updated_at) || null;
+
+    if (since != null && updatedAt != null && updatedAt <= since) {
+      totals.unchanged++;
+      continue;
+    }
+
+    const full = await fetchTicketForSync(id, "tickets");
+    if (!full) continue;
+
+    replyRows.push(...rowsSince(buildTicketReplyRows(full), since));
+    partRows.push(...rowsSince(buildTicketPartRows(full), since, (r) => r.updated_at || r.created_at));
+    ticketRows.push(buildTicketRow(full));
+    totals.processed++;
+  }
+
+  if (replyRows.length) {
+    const { upserted } = await upsertReplies(replyRows);
+    totals.rows += upserted;
+  }
+  await upsertTicketParts(partRows);
+  // Last, so a failed write above leaves the ticket looking unchanged for the next run
+  await upsertTickets(ticketRows);
+  await resolveSyncFailures(ticketRows.map((r) => r.ticket_id), "ticket");
+}
+
+async function syncTickets(lease) {
+  const lastRunIso = await getState(TICKETS_LAST_RUN_KEY);
+  const firstRunSince = process.env.TICKETS_SINCE ? new Date(process.env.TICKETS_SINCE) : new Date(0);
+  const start = lastRunIso
+    ? new Date(new Date(lastRunIso).getTime() - LOOKBACK_MINUTES * 60 * 1000)
+    : firstRunSince;
+  if (Number.isNaN(start.getTime())) throw new Error(`Invalid TICKETS_SINCE: ${process.env.TICKETS_SINCE}`);
+
+  // Keep the window end stable while a cursor is outstanding, so resumed pages
+  // belong to the same search.
+  let startingAfter = (await getState(TICKETS_CURSOR_KEY)) || null;
+  const storedEndIso = await getState(TICKETS_WINDOW_END_KEY);
+  const end = startingAfter && storedEndIso ? new Date(storedEndIso) : new Date();
+  await lease.setState(TICKETS_WINDOW_END_KEY, end.toISOString());
+
+  const startUnix = Math.floor(start.getTime() / 1000);
+  const endUnix = Math.floor(end.getTime() / 1000);
+
+  const totals = { pages: 0, processed: 0, unchanged: 0, rows: 0 };
+
+  // Retry tickets earlier runs couldn't fetch (see sync_failures)
+  const due = await dueSyncFailures("ticket");
+  if (due.length) {
+    await syncTicketsPage(due.map((id) => ({ id })), totals);
+    console.log(`Tickets: retried ${due.length} deferred ticket(s).`);
+  }
+
+  // Whole pages only, so the persisted cursor never skips tickets
+  while (totals.processed < MAX_TICKETS_PER_RUN) {
+    const searchResp = await searchTicketsUpdatedBetween(startUnix, endUnix, SEARCH_PER_PAGE, startingAfter);
+    const tickets = searchResp?.tickets || [];
+    const nextCursor = searchResp?.pages?.next?.starting_after ? String(searchResp.pages.next.starting_after) : null;
+
+    if (tickets.length) await syncTicketsPage(tickets, totals);
+
+    totals.pages++;
+    startingAfter = nextCursor;
+    await lease.setState(TICKETS_CURSOR_KEY, startingAfter || "");
+
+    if (!nextCursor) {
+      await lease.setState(TICKETS_LAST_RUN_KEY, end.toISOString());
+      break;
+    }
+  }
+
+  console.log(
+    `Tickets: pages=${totals.pages}, processed_tickets=${totals.processed}, unchanged_tickets=${totals.unchanged}, upserted_rows≈${totals.rows}, next_cursor=${startingAfter || "none"}`
+  );
+}
+
+async function main() {
+  await withLease(TICKETS_LEASE, syncTickets);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
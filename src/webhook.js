@@ -0,0 +1,184 @@
+/**
+ * src/webhook.js
+ *
+ * Intercom webhook receiver:
+ * - Verifies X-Hub-Signature (HMAC-SHA1 of the raw body with the app's client secret)
+ * - Acks Intercom immediately (it expects a 2xx within a few seconds)
+ * - Re-fetches the full conversation and upserts admin/bot replies into public.replies
+ *   (same row shape as src/sync.js), plus the conversation-level tables
+ *   (conversations, conversation_messages, conversation_statistics, conversation_tags)
+ *   and archives the raw payload in raw_conversations
+ *
+ * The sync/poll crons stay in place as the safety net for anything missed here.
+ *
+ * Required env:
+ *   SUPABASE_URL
+ *   SUPABASE_SERVICE_ROLE_KEY
+ *   INTERCOM_ACCESS_TOKEN (or the tokenEnv of INTERCOM_WORKSPACE in src/lib/workspaces.js)
+ *   INTERCOM_CLIENT_SECRET
+ *
+ * Optional env:
+ *   PORT (default 3000)
+ *   INGEST_FILTERS (JSON; see src/lib/filters.js)
+ *   INTERCOM_WORKSPACE (default "default"; run one receiver per workspace, each
+ *   with that workspace's token and client secret)
+ */
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { requireEnv } from "./lib/env.js";
+import { upsertReplies } from "./lib/supabase.js";
+import { fetchConversationForSync } from "./lib/failures.js";
+import { passesIngestFilters } from "./lib/filters.js";
+import { buildReplyRows } from "./lib/extract.js";
+import { newConversationBatch, addConversation, writeConversationBatch } from "./lib/ingest.js";
+
+const INTERCOM_CLIENT_SECRET = requireEnv("INTERCOM_CLIENT_SECRET");
+const PORT = Number(process.env.PORT || 3000);
+
+const WEBHOOK_PATH = "/intercom/webhook";
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Topics that can add or change admin replies on a conversation
+const CONVERSATION_TOPICS = new Set([
+  "conversation.user.created",
+  "conversation.user.replied",
+  "conversation.admin.replied",
+  "conversation.admin.single.created",
+  "conversation.admin.noted",
+  "conversation.admin.assigned",
+  "conversation.admin.opened",
+  "conversation.admin.closed",
+  "conversation.admin.snoozed",
+  "conversation.admin.unsnoozed",
+]);
+
+// ---------- Signature ----------
+function isValidSignature(rawBody, header) {
+  if (!header) return false;
+
+  const expected =
+    "sha1=" + crypto.createHmac("sha1", INTERCOM_CLIENT_SECRET).update(rawBody).digest("hex");
+
+  const a = Buffer.from(String(header));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Payload too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// ---------- Processing ----------
+// Conversations are processed one at a time, in arrival order, so a burst of
+// notifications for the same conversation doesn't fan out into parallel fetches.
+let queue = Promise.resolve();
+
+function enqueue(conversationId, topic, item) {
+  queue = queue
+    .then(() => processConversation(conversationId, topic, item))
+    .catch((e) => {
+      console.error(`Webhook: failed conversation=${conversationId} topic=${topic}:`, e?.message ?? e);
+    });
+}
+
+async function processConversation(conversationId, topic, item) {
+  // Failures land in sync_failures, which the sync/poll crons retry, unless the
+  // notification's copy of the conversation already shows INGEST_FILTERS excludes it
+  const full = await fetchConversationForSync(conversationId, "webhook", { payload: item });
+  if (!full) return;
+
+  if (!passesIngestFilters(full)) {
+    console.log(`Webhook: topic=${topic} conversation=${conversationId} excluded by INGEST_FILTERS`);
+    return;
+  }
+
+  const { upserted } = await upsertReplies(buildReplyRows(full));
+
+  const batch = newConversationBatch();
+  addConversation(batch, full);
+  await writeConversationBatch(batch);
+
+  console.log(`Webhook: topic=${topic} conversation=${conversationId} upserted_rows=${upserted}`);
+}
+
+// ---------- Server ----------
+async function handleRequest(req, res) {
+  if (req.method === "GET" && req.url === "/healthz") {
+    res.writeHead(200).end("ok");
+    return;
+  }
+
+  // Intercom sends a HEAD request when the endpoint is first configured
+  if (req.method === "HEAD" && req.url === WEBHOOK_PATH) {
+    res.writeHead(200).end();
+    return;
+  }
+
+  if (req.method !== "POST" || req.url !== WEBHOOK_PATH) {
+    res.writeHead(404).end();
+    return;
+  }
+
+  let rawBody;
+  try {
+    rawBody = await readBody(req);
+  } catch {
+    res.writeHead(413).end();
+    return;
+  }
+
+  if (!isValidSignature(rawBody, req.headers["x-hub-signature"])) {
+    console.log("Webhook: rejected request with invalid X-Hub-Signature");
+    res.writeHead(401).end();
+    return;
+  }
+
+  let notification;
+  try {
+    notification = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+
+  res.writeHead(200).end();
+
+  const topic = String(notification?.topic || "");
+  if (topic === "ping") {
+    console.log("Webhook: ping received");
+    return;
+  }
+  if (!CONVERSATION_TOPICS.has(topic)) return;
+
+  const item = notification?.data?.item;
+  if (item?.type !== "conversation" || !item?.id) return;
+
+  enqueue(String(item.id), topic, item);
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((e) => {
+    console.error(e);
+    if (!res.headersSent) res.writeHead(500).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Intercom webhook receiver listening on :${PORT}${WEBHOOK_PATH}`);
+});
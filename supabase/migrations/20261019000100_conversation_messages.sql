@@ -0,0 +1,22 @@
+-- Every conversation part (user, lead, admin, bot, notes, assignment/close events),
+-- keyed by Intercom part id. The conversation source message uses part_type = 'source'.
+create table if not exists public.conversation_messages (
+  part_id text primary key,
+  conversation_id text not null,
+  part_type text,
+  author_type text,
+  author_id text,
+  author_name text,
+  author_email text,
+  created_at timestamptz,
+  updated_at timestamptz,
+  body_html text,
+  body_text text,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists conversation_messages_conversation_id_created_at_idx
+  on public.conversation_messages (conversation_id, created_at);
+
+create index if not exists conversation_messages_author_type_created_at_idx
+  on public.conversation_messages (author_type, created_at);
@@ -0,0 +1,26 @@
+-- One row per Intercom conversation, refreshed on every sync/poll pass and by the webhook.
+create table if not exists public.conversations (
+  conversation_id text primary key,
+  title text,
+  state text,
+  open boolean,
+  read boolean,
+  priority text,
+  waiting_since timestamptz,
+  snoozed_until timestamptz,
+  assignee_id text,
+  team_assignee_id text,
+  intercom_inbox_id text,
+  intercom_inbox_name text,
+  tags text,
+  source_type text,
+  created_at timestamptz,
+  updated_at timestamptz,
+  closed_at timestamptz,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists conversations_updated_at_idx on public.conversations (updated_at);
+create index if not exists conversations_state_idx on public.conversations (state);
+create index if not exists conversations_assignee_id_idx on public.conversations (assignee_id);
+create index if not exists conversations_team_assignee_id_idx on public.conversations (team_assignee_id);
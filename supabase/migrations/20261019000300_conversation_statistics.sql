@@ -0,0 +1,26 @@
+-- Intercom's per-conversation `statistics` block. Durations are in seconds.
+create table if not exists public.conversation_statistics (
+  conversation_id text primary key,
+  time_to_assignment integer,
+  time_to_admin_reply integer,
+  time_to_first_close integer,
+  time_to_last_close integer,
+  median_time_to_reply integer,
+  first_contact_reply_at timestamptz,
+  first_assignment_at timestamptz,
+  first_admin_reply_at timestamptz,
+  first_close_at timestamptz,
+  last_assignment_at timestamptz,
+  last_assignment_admin_reply_at timestamptz,
+  last_contact_reply_at timestamptz,
+  last_admin_reply_at timestamptz,
+  last_close_at timestamptz,
+  last_closed_by_id text,
+  count_reopens integer,
+  count_assignments integer,
+  count_conversation_parts integer,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists conversation_statistics_first_contact_reply_at_idx
+  on public.conversation_statistics (first_contact_reply_at);
@@ -0,0 +1,57 @@
+-- Intercom workspace directory, refreshed by src/sync_directory.js.
+create table if not exists public.intercom_admins (
+  admin_id text primary key,
+  name text,
+  email text,
+  job_title text,
+  away_mode_enabled boolean,
+  away_mode_reassign boolean,
+  has_inbox_seat boolean,
+  team_ids text[] not null default '{}',
+  active boolean not null default true,
+  synced_at timestamptz not null default now()
+);
+
+create table if not exists public.intercom_teams (
+  team_id text primary key,
+  name text,
+  admin_ids text[] not null default '{}',
+  active boolean not null default true,
+  synced_at timestamptz not null default now()
+);
+
+-- tone_scores only carried the denormalized teammate_name; store the id so reports
+-- can join the directory instead.
+alter table public.tone_scores add column if not exists teammate_id text;
+
+update public.tone_scores t
+set teammate_id = r.teammate_id
+from public.replies r
+where r.part_id = t.part_id
+  and t.teammate_id is null;
+
+create index if not exists tone_scores_teammate_id_idx on public.tone_scores (teammate_id);
+
+-- Replies with teammate, assignee and team resolved to their current directory names.
+create or replace view public.replies_with_directory as
+select
+  r.*,
+  ta.name as teammate_current_name,
+  ta.email as teammate_email,
+  aa.name as assignee_name,
+  tt.name as team_assignee_name
+from public.replies r
+left join public.intercom_admins ta on ta.admin_id = r.teammate_id
+left join public.intercom_admins aa on aa.admin_id = r.assignee_id
+left join public.intercom_teams tt on tt.team_id = r.team_assignee_id;
+
+-- Tone scores keyed by teammate id, with the current directory name.
+create or replace view public.tone_scores_with_directory as
+select
+  s.*,
+  coalesce(a.name, s.teammate_name) as teammate_current_name,
+  a.email as teammate_email,
+  a.team_ids as teammate_team_ids,
+  a.active as teammate_active
+from public.tone_scores s
+left join public.intercom_admins a on a.admin_id = s.teammate_id;
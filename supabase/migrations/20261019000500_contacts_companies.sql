@@ -0,0 +1,77 @@
+-- Intercom contacts (users and leads) and companies, refreshed by src/sync_contacts.js.
+create table if not exists public.contacts (
+  contact_id text primary key,
+  external_id text,
+  role text,
+  email text,
+  name text,
+  phone text,
+  country text,
+  region text,
+  city text,
+  custom_attributes jsonb not null default '{}',
+  created_at timestamptz,
+  updated_at timestamptz,
+  signed_up_at timestamptz,
+  last_seen_at timestamptz,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists contacts_external_id_idx on public.contacts (external_id);
+create index if not exists contacts_email_idx on public.contacts (email);
+
+create table if not exists public.companies (
+  company_id text primary key,
+  external_company_id text,
+  name text,
+  plan text,
+  industry text,
+  size integer,
+  monthly_spend numeric,
+  user_count integer,
+  custom_attributes jsonb not null default '{}',
+  created_at timestamptz,
+  updated_at timestamptz,
+  pulled_at timestamptz not null default now()
+);
+
+create table if not exists public.contact_companies (
+  contact_id text not null,
+  company_id text not null,
+  primary key (contact_id, company_id)
+);
+
+create index if not exists contact_companies_company_id_idx on public.contact_companies (company_id);
+
+-- Stable link from replies/conversations to the contact record
+alter table public.replies add column if not exists contact_id text;
+alter table public.conversations add column if not exists contact_id text;
+
+create index if not exists replies_contact_id_idx on public.replies (contact_id);
+
+-- Tone scores with the customer's location, role and companies, for segmenting QA results.
+create or replace view public.tone_scores_with_contacts as
+select
+  s.*,
+  r.contact_id,
+  c.external_id as contact_external_id,
+  c.role as contact_role,
+  c.country as contact_country,
+  c.region as contact_region,
+  c.city as contact_city,
+  c.custom_attributes as contact_custom_attributes,
+  (
+    select array_agg(co.name order by co.name)
+    from public.contact_companies cc
+    join public.companies co on co.company_id = cc.company_id
+    where cc.contact_id = r.contact_id
+  ) as contact_company_names,
+  (
+    select array_agg(co.plan order by co.plan)
+    from public.contact_companies cc
+    join public.companies co on co.company_id = cc.company_id
+    where cc.contact_id = r.contact_id
+  ) as contact_company_plans
+from public.tone_scores s
+join public.replies r on r.part_id = s.part_id
+left join public.contacts c on c.contact_id = r.contact_id;
@@ -0,0 +1,30 @@
+-- Tags currently applied to each conversation (replaces parsing replies.tags).
+create table if not exists public.conversation_tags (
+  conversation_id text not null,
+  tag_id text not null,
+  tag_name text,
+  applied_at timestamptz,
+  applied_by_type text,
+  applied_by text,
+  primary key (conversation_id, tag_id)
+);
+
+create index if not exists conversation_tags_tag_name_idx on public.conversation_tags (tag_name, conversation_id);
+create index if not exists conversation_tags_tag_id_idx on public.conversation_tags (tag_id, conversation_id);
+
+-- Tag add/remove history. Removals are stamped with the time the sync noticed them.
+create table if not exists public.conversation_tag_events (
+  id bigint generated always as identity primary key,
+  conversation_id text not null,
+  tag_id text not null,
+  tag_name text,
+  event text not null check (event in ('added', 'removed')),
+  occurred_at timestamptz not null,
+  actor_id text,
+  observed_at timestamptz not null default now()
+);
+
+create index if not exists conversation_tag_events_conversation_id_idx
+  on public.conversation_tag_events (conversation_id, occurred_at);
+create index if not exists conversation_tag_events_tag_id_idx
+  on public.conversation_tag_events (tag_id, occurred_at);
@@ -0,0 +1,70 @@
+-- Customer CSAT ratings (conversation_rating), one per conversation.
+create table if not exists public.conversation_ratings (
+  conversation_id text primary key,
+  rating integer not null,
+  remark text,
+  rated_at timestamptz,
+  contact_id text,
+  teammate_id text,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists conversation_ratings_teammate_id_rated_at_idx
+  on public.conversation_ratings (teammate_id, rated_at);
+
+-- One row per rated conversation: the rating next to the average tone scores of the
+-- rated teammate's replies in that conversation.
+create or replace view public.conversation_rating_tone as
+select
+  r.conversation_id,
+  r.teammate_id,
+  r.rating,
+  r.remark,
+  r.rated_at,
+  date_trunc('week', r.rated_at) as rated_week,
+  count(s.part_id) as scored_replies,
+  avg(s.empathy)::numeric(4, 2) as avg_empathy,
+  avg(s.clarity)::numeric(4, 2) as avg_clarity,
+  avg(s.ownership)::numeric(4, 2) as avg_ownership,
+  avg(s.professionalism)::numeric(4, 2) as avg_professionalism
+from public.conversation_ratings r
+join public.tone_scores s
+  on s.conversation_id = r.conversation_id
+ and s.teammate_id = r.teammate_id
+group by r.conversation_id, r.teammate_id, r.rating, r.remark, r.rated_at;
+
+-- Does the tone rubric predict CSAT? Pearson correlation between the customer rating
+-- and each tone dimension, per teammate and week.
+create or replace view public.rating_tone_correlation_weekly as
+select
+  t.rated_week,
+  t.teammate_id,
+  a.name as teammate_name,
+  count(*) as rated_conversations,
+  avg(t.rating)::numeric(4, 2) as avg_rating,
+  avg(t.avg_empathy)::numeric(4, 2) as avg_empathy,
+  avg(t.avg_clarity)::numeric(4, 2) as avg_clarity,
+  avg(t.avg_ownership)::numeric(4, 2) as avg_ownership,
+  avg(t.avg_professionalism)::numeric(4, 2) as avg_professionalism,
+  corr(t.rating, t.avg_empathy)::numeric(4, 3) as corr_empathy,
+  corr(t.rating, t.avg_clarity)::numeric(4, 3) as corr_clarity,
+  corr(t.rating, t.avg_ownership)::numeric(4, 3) as corr_ownership,
+  corr(t.rating, t.avg_professionalism)::numeric(4, 3) as corr_professionalism
+from public.conversation_rating_tone t
+left join public.intercom_admins a on a.admin_id = t.teammate_id
+group by t.rated_week, t.teammate_id, a.name;
+
+-- Same correlation over all time, per teammate (null teammate_id = whole team).
+create or replace view public.rating_tone_correlation as
+select
+  t.teammate_id,
+  a.name as teammate_name,
+  count(*) as rated_conversations,
+  avg(t.rating)::numeric(4, 2) as avg_rating,
+  corr(t.rating, t.avg_empathy)::numeric(4, 3) as corr_empathy,
+  corr(t.rating, t.avg_clarity)::numeric(4, 3) as corr_clarity,
+  corr(t.rating, t.avg_ownership)::numeric(4, 3) as corr_ownership,
+  corr(t.rating, t.avg_professionalism)::numeric(4, 3) as corr_professionalism
+from public.conversation_rating_tone t
+left join public.intercom_admins a on a.admin_id = t.teammate_id
+group by grouping sets ((t.teammate_id, a.name), ());
@@ -0,0 +1,39 @@
+-- Assignment and state-change timeline (assignment, open, close, snoozed, unsnoozed, ...),
+-- keyed by the Intercom part id of the event.
+create table if not exists public.conversation_events (
+  part_id text primary key,
+  conversation_id text not null,
+  event_type text not null,
+  occurred_at timestamptz,
+  actor_type text,
+  actor_id text,
+  actor_name text,
+  admin_assignee_before text,
+  admin_assignee_after text,
+  team_assignee_before text,
+  team_assignee_after text,
+  state_before text,
+  state_after text,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists conversation_events_conversation_id_occurred_at_idx
+  on public.conversation_events (conversation_id, occurred_at);
+create index if not exists conversation_events_admin_assignee_after_idx
+  on public.conversation_events (admin_assignee_after, occurred_at);
+
+-- Each event with how long the conversation then stayed in that state/assignment
+-- (until the next event, or now if it's the latest). Sum duration_seconds by
+-- admin_assignee_after and state_after for handling time and time-in-state;
+-- count rows where the admin assignee changed for reassignments.
+create or replace view public.conversation_event_intervals as
+select
+  e.*,
+  lead(e.occurred_at) over w as next_occurred_at,
+  extract(epoch from coalesce(lead(e.occurred_at) over w, now()) - e.occurred_at)::bigint as duration_seconds,
+  (
+    e.admin_assignee_before is not null
+    and e.admin_assignee_after is distinct from e.admin_assignee_before
+  ) as is_reassignment
+from public.conversation_events e
+window w as (partition by e.conversation_id order by e.occurred_at, e.part_id);
@@ -0,0 +1,31 @@
+-- One author classification everywhere: user, lead, admin, bot, team, system.
+alter table public.replies add column if not exists author_type text;
+
+-- Every reply stored before this was a human teammate reply
+update public.replies set author_type = 'admin' where author_type is null;
+
+create index if not exists replies_author_type_reply_created_at_idx
+  on public.replies (author_type, reply_created_at);
+
+-- conversation_messages.author_type now holds the classified type; keep Intercom's own value too
+alter table public.conversation_messages add column if not exists author_type_raw text;
+
+update public.conversation_messages
+set author_type_raw = author_type,
+    author_type = case
+      when author_type in ('user', 'contact') then 'user'
+      when author_type in ('lead', 'admin', 'bot', 'team') then author_type
+      else 'system'
+    end
+where author_type_raw is null;
+
+-- Bot vs human handling per week: replies and conversations touched by each author type.
+create or replace view public.reply_handling_by_author_type_weekly as
+select
+  date_trunc('week', reply_created_at) as reply_week,
+  author_type,
+  count(*) as replies,
+  count(distinct conversation_id) as conversations
+from public.replies
+where author_type in ('admin', 'bot')
+group by 1, 2;
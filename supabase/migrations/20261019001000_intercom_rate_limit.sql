@@ -0,0 +1,107 @@
+-- Workspace-wide Intercom token bucket shared by every job (sync, poll, webhook,
+-- backfills). Jobs take a token before each API call and report the rate-limit
+-- headers they see, so overlapping crons stay inside one per-minute allowance.
+create table if not exists public.intercom_rate_limit (
+  bucket text primary key,
+  tokens numeric not null,
+  capacity numeric not null,
+  refill_per_sec numeric not null,
+  observed_limit integer,
+  observed_remaining integer,
+  observed_reset_at timestamptz,
+  throttled_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- Conservative defaults until the first response headers arrive:
+-- 1000 calls/minute, bursts of up to ~10 seconds' worth.
+insert into public.intercom_rate_limit (bucket, tokens, capacity, refill_per_sec)
+values ('default', 166, 166, 16.6)
+on conflict (bucket) do nothing;
+
+-- Take p_cost tokens. Returns 0 when granted, otherwise the milliseconds to wait
+-- before trying again (nothing is taken in that case).
+create or replace function public.intercom_take_token(p_bucket text default 'default', p_cost numeric default 1)
+returns integer
+language plpgsql
+as $$
+declare
+  b public.intercom_rate_limit%rowtype;
+  available numeric;
+begin
+  insert into public.intercom_rate_limit (bucket, tokens, capacity, refill_per_sec)
+  values (p_bucket, 166, 166, 16.6)
+  on conflict (bucket) do nothing;
+
+  select * into b from public.intercom_rate_limit where bucket = p_bucket for update;
+
+  available := least(
+    b.capacity,
+    b.tokens + extract(epoch from (now() - b.updated_at)) * b.refill_per_sec
+  );
+
+  if available >= p_cost then
+    update public.intercom_rate_limit
+    set tokens = available - p_cost, updated_at = now()
+    where bucket = p_bucket;
+    return 0;
+  end if;
+
+  update public.intercom_rate_limit
+  set tokens = available, updated_at = now()
+  where bucket = p_bucket;
+
+  return ceil((p_cost - available) / b.refill_per_sec * 1000)::integer;
+end;
+$$;
+
+-- Feed observed X-RateLimit-* headers (and 429s) back into the bucket:
+-- the limit sets the refill rate, and the bucket never holds more than Intercom
+-- says is actually remaining. A 429 empties it so every job backs off together.
+create or replace function public.intercom_report_rate_limit(
+  p_bucket text default 'default',
+  p_limit integer default null,
+  p_remaining integer default null,
+  p_reset_at timestamptz default null,
+  p_throttled boolean default false
+)
+returns void
+language plpgsql
+as $$
+declare
+  b public.intercom_rate_limit%rowtype;
+  available numeric;
+  new_capacity numeric;
+  new_refill numeric;
+begin
+  select * into b from public.intercom_rate_limit where bucket = p_bucket for update;
+  if not found then
+    return;
+  end if;
+
+  new_refill := case when p_limit > 0 then p_limit / 60.0 else b.refill_per_sec end;
+  new_capacity := case when p_limit > 0 then greatest(1, p_limit / 6.0) else b.capacity end;
+
+  available := least(
+    new_capacity,
+    b.tokens + extract(epoch from (now() - b.updated_at)) * b.refill_per_sec
+  );
+  if p_throttled then
+    available := 0;
+  elsif p_remaining is not null then
+    available := least(available, p_remaining);
+  end if;
+
+  update public.intercom_rate_limit
+  set
+    tokens = available,
+    capacity = new_capacity,
+    refill_per_sec = new_refill,
+    observed_limit = coalesce(p_limit, observed_limit),
+    observed_remaining = coalesce(p_remaining, observed_remaining),
+    observed_reset_at = coalesce(p_reset_at, observed_reset_at),
+    throttled_at = case when p_throttled then now() else throttled_at end,
+    updated_at = now()
+  where bucket = p_bucket;
+end;
+$$;
@@ -0,0 +1,116 @@
+-- Lease-based locking on top of sync_state. A lease is a sync_state row keyed
+-- 'lease:<name>' (e.g. 'lease:live' for the live_* cursors shared by sync.js and
+-- poll.js). Jobs acquire it before touching their cursors, heartbeat while they
+-- run, and write cursors through sync_state_set_fenced so a job whose lease
+-- expired (and was taken over) can no longer move them.
+alter table public.sync_state
+  add column if not exists lease_owner text,
+  add column if not exists lease_token bigint,
+  add column if not exists lease_acquired_at timestamptz,
+  add column if not exists lease_heartbeat_at timestamptz,
+  add column if not exists lease_expires_at timestamptz;
+
+-- Fencing tokens only ever increase, across all leases
+create sequence if not exists public.sync_lease_token_seq;
+
+-- Take the lease if it is free, expired, or already ours. Returns the new fencing
+-- token, or null when another owner holds a live lease.
+create or replace function public.sync_lease_acquire(p_name text, p_owner text, p_ttl_seconds integer)
+returns bigint
+language plpgsql
+as $$
+declare
+  t bigint;
+begin
+  insert into public.sync_state (key, value)
+  values ('lease:' || p_name, '')
+  on conflict (key) do nothing;
+
+  update public.sync_state
+  set
+    value = p_owner,
+    lease_owner = p_owner,
+    lease_token = nextval('public.sync_lease_token_seq'),
+    lease_acquired_at = now(),
+    lease_heartbeat_at = now(),
+    lease_expires_at = now() + make_interval(secs => p_ttl_seconds)
+  where key = 'lease:' || p_name
+    and (lease_owner is null or lease_expires_at <= now() or lease_owner = p_owner)
+  returning lease_token into t;
+
+  return t;
+end;
+$$;
+
+-- Extend a held lease. Returns false once the lease has expired or changed hands.
+create or replace function public.sync_lease_heartbeat(
+  p_name text,
+  p_owner text,
+  p_token bigint,
+  p_ttl_seconds integer
+)
+returns boolean
+language plpgsql
+as $$
+begin
+  update public.sync_state
+  set
+    lease_heartbeat_at = now(),
+    lease_expires_at = now() + make_interval(secs => p_ttl_seconds)
+  where key = 'lease:' || p_name
+    and lease_owner = p_owner
+    and lease_token = p_token
+    and lease_expires_at > now();
+
+  return found;
+end;
+$$;
+
+create or replace function public.sync_lease_release(p_name text, p_owner text, p_token bigint)
+returns boolean
+language plpgsql
+as $$
+begin
+  update public.sync_state
+  set
+    value = '',
+    lease_owner = null,
+    lease_expires_at = null
+  where key = 'lease:' || p_name
+    and lease_owner = p_owner
+    and lease_token = p_token;
+
+  return found;
+end;
+$$;
+
+-- Write a state key only while the given lease token is still current. The lease
+-- row is locked for the write, so a takeover can't interleave with it.
+create or replace function public.sync_state_set_fenced(
+  p_name text,
+  p_token bigint,
+  p_key text,
+  p_value text
+)
+returns boolean
+language plpgsql
+as $$
+begin
+  perform 1
+  from public.sync_state
+  where key = 'lease:' || p_name
+    and lease_token = p_token
+    and lease_expires_at > now()
+  for update;
+
+  if not found then
+    return false;
+  end if;
+
+  insert into public.sync_state (key, value)
+  values (p_key, p_value)
+  on conflict (key) do update set value = excluded.value;
+
+  return true;
+end;
+$$;
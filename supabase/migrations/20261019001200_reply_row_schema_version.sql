@@ -0,0 +1,8 @@
+-- Version of the row shape built by buildReplyRows (src/lib/extract.js). Every
+-- ingestion path stamps it; scripts/intercom_backfill_replies.js rebuilds rows
+-- that are NULL (written before this column) or older than the current version.
+alter table public.replies
+  add column if not exists row_schema_version integer;
+
+create index if not exists replies_row_schema_version_idx
+  on public.replies (row_schema_version, conversation_id);
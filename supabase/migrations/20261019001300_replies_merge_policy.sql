@@ -0,0 +1,87 @@
+-- Field-level merge policy for writes to public.replies. Every ingestion job goes
+-- through upsert_replies() (src/lib/supabase.js upsertReplies), which applies one
+-- rule per column when a part_id already exists:
+--   keep_non_null    (default) new value unless it is null; never replaces data with null
+--   latest_wins      new value, including null (fields that can legitimately clear)
+--   first_write_wins existing value unless it is null
+-- Columns a batch doesn't send are never touched, so partial rows are safe.
+create table if not exists public.replies_merge_policy (
+  column_name text primary key,
+  rule text not null check (rule in ('keep_non_null', 'latest_wins', 'first_write_wins'))
+);
+
+insert into public.replies_merge_policy (column_name, rule) values
+  ('pulled_at', 'latest_wins'),
+  ('row_schema_version', 'latest_wins'),
+  ('reply_created_at', 'first_write_wins'),
+  ('assignee_id', 'latest_wins'),
+  ('team_assignee_id', 'latest_wins'),
+  ('conversation_state', 'latest_wins'),
+  ('conversation_open', 'latest_wins'),
+  ('conversation_waiting_since', 'latest_wins'),
+  ('conversation_snoozed_until', 'latest_wins'),
+  ('conversation_updated_at', 'latest_wins')
+on conflict (column_name) do nothing;
+
+-- Upsert p_rows (a JSON array of reply objects) on part_id under the merge policy.
+-- Only columns present in the batch are inserted/updated. Returns rows written.
+create or replace function public.upsert_replies(p_rows jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  cols text[];
+  col_list text;
+  set_list text;
+  n integer;
+begin
+  if p_rows is null or jsonb_array_length(p_rows) = 0 then
+    return 0;
+  end if;
+
+  select array_agg(c.column_name::text order by c.ordinal_position)
+  into cols
+  from information_schema.columns c
+  where c.table_schema = 'public'
+    and c.table_name = 'replies'
+    and c.column_name <> 'id'
+    and exists (
+      select 1 from jsonb_array_elements(p_rows) r where r ? c.column_name
+    );
+
+  if cols is null or not ('part_id' = any (cols)) then
+    raise exception 'upsert_replies: rows must include part_id';
+  end if;
+
+  select string_agg(format('%I', c), ', ') into col_list from unnest(cols) c;
+
+  select string_agg(
+    format(
+      '%1$I = %2$s',
+      c,
+      case coalesce(p.rule, 'keep_non_null')
+        when 'latest_wins' then format('excluded.%I', c)
+        when 'first_write_wins' then format('coalesce(r.%1$I, excluded.%1$I)', c)
+        else format('coalesce(excluded.%1$I, r.%1$I)', c)
+      end
+    ),
+    ', '
+  )
+  into set_list
+  from unnest(cols) c
+  left join public.replies_merge_policy p on p.column_name = c
+  where c <> 'part_id';
+
+  execute format(
+    'insert into public.replies as r (%1$s)
+     select %1$s from jsonb_populate_recordset(null::public.replies, $1)
+     on conflict (part_id) do %2$s',
+    col_list,
+    case when set_list is null then 'nothing' else 'update set ' || set_list end
+  )
+  using p_rows;
+
+  get diagnostics n = row_count;
+  return n;
+end;
+$$;
@@ -0,0 +1,21 @@
+-- Archive of full Intercom conversation payloads (all parts, after pagination),
+-- one row per conversation version. payload_gz is the JSON, gzipped and base64-
+-- encoded (see src/lib/archive.js). `npm run reprocess` rebuilds replies and the
+-- conversation tables from here without calling Intercom.
+create table if not exists public.raw_conversations (
+  conversation_id text not null,
+  updated_at timestamptz not null,
+  archived_at timestamptz not null default now(),
+  part_count integer,
+  raw_bytes integer,
+  payload_gz text not null,
+  primary key (conversation_id, updated_at)
+);
+
+create index if not exists raw_conversations_updated_at_idx on public.raw_conversations (updated_at);
+
+-- Newest archived version of each conversation
+create or replace view public.raw_conversations_latest as
+select distinct on (conversation_id) *
+from public.raw_conversations
+order by conversation_id, updated_at desc;
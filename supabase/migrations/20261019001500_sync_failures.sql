@@ -0,0 +1,60 @@
+-- Dead-letter queue for conversations a sync job couldn't fetch or ingest. Jobs
+-- record failures here instead of silently moving past them; sync.js and poll.js
+-- retry due rows with exponential backoff, a successful write of the conversation
+-- deletes its row, and rows that reach max attempts become 'dead' and show up in
+-- `npm run report:failures`.
+create table if not exists public.sync_failures (
+  conversation_id text primary key,
+  source text,
+  status text not null default 'retrying' check (status in ('retrying', 'dead')),
+  error_class text,
+  error_message text,
+  attempts integer not null default 0,
+  first_failed_at timestamptz not null default now(),
+  last_failed_at timestamptz not null default now(),
+  next_retry_at timestamptz
+);
+
+create index if not exists sync_failures_due_idx
+  on public.sync_failures (next_retry_at)
+  where status = 'retrying';
+
+-- Record one more failed attempt. Backoff doubles from 2 minutes, capped at 12 hours;
+-- at p_max_attempts the row goes 'dead' and is no longer retried automatically.
+create or replace function public.record_sync_failure(
+  p_conversation_id text,
+  p_source text,
+  p_error_class text,
+  p_error_message text,
+  p_max_attempts integer default 8
+)
+returns public.sync_failures
+language plpgsql
+as $$
+declare
+  f public.sync_failures;
+begin
+  insert into public.sync_failures as s (conversation_id, source, error_class, error_message, attempts)
+  values (p_conversation_id, p_source, p_error_class, left(p_error_message, 2000), 1)
+  on conflict (conversation_id) do update
+  set
+    source = excluded.source,
+    error_class = excluded.error_class,
+    error_message = excluded.error_message,
+    attempts = s.attempts + 1,
+    last_failed_at = now()
+  returning * into f;
+
+  update public.sync_failures
+  set
+    status = case when f.attempts >= p_max_attempts then 'dead' else 'retrying' end,
+    next_retry_at = case
+      when f.attempts >= p_max_attempts then null
+      else now() + least(interval '12 hours', interval '2 minutes' * power(2, f.attempts - 1))
+    end
+  where conversation_id = p_conversation_id
+  returning * into f;
+
+  return f;
+end;
+$$;
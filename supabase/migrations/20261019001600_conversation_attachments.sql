@@ -0,0 +1,37 @@
+-- Files attached to conversation messages (source or parts), one row per
+-- attachment. Metadata and the (expiring) Intercom url are refreshed by every
+-- sync; the storage_* columns are owned by scripts/archive-attachments.js, which
+-- copies files into the private 'intercom-attachments' Storage bucket and purges
+-- them again after the retention period.
+create table if not exists public.conversation_attachments (
+  part_id text not null,
+  position integer not null,
+  conversation_id text not null,
+  pulled_at timestamptz,
+  part_created_at timestamptz,
+  author_type text,
+  name text,
+  content_type text,
+  filesize bigint,
+  width integer,
+  height integer,
+  url text,
+
+  storage_path text,
+  archived_at timestamptz,
+  archive_attempts integer not null default 0,
+  archive_error text,
+  purged_at timestamptz,
+
+  primary key (part_id, position)
+);
+
+create index if not exists conversation_attachments_conversation_id_idx
+  on public.conversation_attachments (conversation_id);
+create index if not exists conversation_attachments_unarchived_idx
+  on public.conversation_attachments (part_created_at)
+  where storage_path is null and purged_at is null;
+
+insert into storage.buckets (id, name, public)
+values ('intercom-attachments', 'intercom-attachments', false)
+on conflict (id) do nothing;
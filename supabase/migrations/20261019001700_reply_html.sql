@@ -0,0 +1,7 @@
+-- Original Intercom body HTML next to the text rendered by htmlToText
+-- (src/lib/html.js), so replies can be re-rendered without refetching.
+-- Rows written before this are rebuilt by scripts/intercom_backfill_replies.js
+-- (REPLY_ROW_SCHEMA_VERSION 2).
+alter table public.replies
+  add column if not exists agent_reply_html text,
+  add column if not exists user_prev_message_html text;
@@ -0,0 +1,58 @@
+-- Intercom tickets (Tickets API), kept by src/sync_tickets.js. Tickets don't show up
+-- in /conversations/search, so they get their own tables; teammate and bot replies
+-- on a ticket also land in public.replies with ticket_id set.
+create table if not exists public.tickets (
+  ticket_id text primary key,
+  ticket_number text,
+  category text,
+  ticket_type_id text,
+  ticket_type_name text,
+  ticket_state text,
+  ticket_state_category text,
+  title text,
+  open boolean,
+  is_shared boolean,
+  admin_assignee_id text,
+  team_assignee_id text,
+  contact_id text,
+  ticket_attributes jsonb not null default '{}'::jsonb,
+  linked_conversation_ids text[] not null default '{}',
+  snoozed_until timestamptz,
+  created_at timestamptz,
+  updated_at timestamptz,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists tickets_updated_at_idx on public.tickets (updated_at);
+create index if not exists tickets_ticket_type_id_idx on public.tickets (ticket_type_id);
+create index if not exists tickets_ticket_state_idx on public.tickets (ticket_state);
+create index if not exists tickets_linked_conversation_ids_idx
+  on public.tickets using gin (linked_conversation_ids);
+
+-- Every ticket part (comments, notes, state changes, assignments), keyed by part id
+create table if not exists public.ticket_parts (
+  part_id text primary key,
+  ticket_id text not null,
+  part_type text,
+  author_type text,
+  author_type_raw text,
+  author_id text,
+  author_name text,
+  author_email text,
+  previous_ticket_state text,
+  ticket_state text,
+  created_at timestamptz,
+  updated_at timestamptz,
+  body_html text,
+  body_text text,
+  pulled_at timestamptz not null default now()
+);
+
+create index if not exists ticket_parts_ticket_id_created_at_idx
+  on public.ticket_parts (ticket_id, created_at);
+
+alter table public.replies
+  add column if not exists ticket_id text;
+
+create index if not exists replies_ticket_id_idx
+  on public.replies (ticket_id) where ticket_id is not null;
@@ -0,0 +1,222 @@
+-- Multi-workspace support. Each job syncs one Intercom workspace (INTERCOM_WORKSPACE,
+-- registered in src/lib/workspaces.js) and stamps its rows with workspace_id.
+-- Intercom ids are only unique within a workspace, so the tables below are now
+-- keyed by (workspace_id, <intercom id>). Existing rows belong to 'default'.
+-- The per-conversation and contact tables follow in 20261019002600.
+
+-- Drop the single-column unique constraint/index on tbl(col), whatever it was named
+create or replace function pg_temp.drop_single_column_unique(tbl regclass, col text)
+returns void
+language plpgsql
+as $$
+declare
+  idx record;
+begin
+  for idx in
+    select i.indexrelid::regclass as index_name, c.conname
+    from pg_index i
+    join pg_attribute a on a.attrelid = i.indrelid and a.attnum = i.indkey[0]
+    left join pg_constraint c on c.conindid = i.indexrelid
+    where i.indrelid = tbl
+      and i.indisunique
+      and i.indnatts = 1
+      and a.attname = col
+  loop
+    if idx.conname is not null then
+      execute format('alter table %s drop constraint %I', tbl, idx.conname);
+    else
+      execute format('drop index %s', idx.index_name);
+    end if;
+  end loop;
+end;
+$$;
+
+-- ---------- replies ----------
+alter table public.replies
+  add column if not exists workspace_id text not null default 'default';
+
+select pg_temp.drop_single_column_unique('public.replies', 'part_id');
+
+create unique index if not exists replies_workspace_id_part_id_key
+  on public.replies (workspace_id, part_id);
+
+-- ---------- conversations ----------
+alter table public.conversations
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.conversations
+  drop constraint if exists conversations_pkey,
+  add primary key (workspace_id, conversation_id);
+
+-- ---------- tone_scores ----------
+alter table public.tone_scores
+  add column if not exists workspace_id text not null default 'default';
+
+select pg_temp.drop_single_column_unique('public.tone_scores', 'part_id');
+
+create unique index if not exists tone_scores_workspace_id_part_id_key
+  on public.tone_scores (workspace_id, part_id);
+
+-- ---------- sync_failures ----------
+alter table public.sync_failures
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.sync_failures
+  drop constraint if exists sync_failures_pkey,
+  add primary key (workspace_id, conversation_id);
+
+drop function if exists public.record_sync_failure(text, text, text, text, integer);
+
+create or replace function public.record_sync_failure(
+  p_conversation_id text,
+  p_source text,
+  p_error_class text,
+  p_error_message text,
+  p_max_attempts integer default 8,
+  p_workspace_id text default 'default'
+)
+returns public.sync_failures
+language plpgsql
+as $$
+declare
+  f public.sync_failures;
+begin
+  insert into public.sync_failures as s (workspace_id, conversation_id, source, error_class, error_message, attempts)
+  values (p_workspace_id, p_conversation_id, p_source, p_error_class, left(p_error_message, 2000), 1)
+  on conflict (workspace_id, conversation_id) do update
+  set
+    source = excluded.source,
+    error_class = excluded.error_class,
+    error_message = excluded.error_message,
+    attempts = s.attempts + 1,
+    last_failed_at = now()
+  returning * into f;
+
+  update public.sync_failures
+  set
+    status = case when f.attempts >= p_max_attempts then 'dead' else 'retrying' end,
+    next_retry_at = case
+      when f.attempts >= p_max_attempts then null
+      else now() + least(interval '12 hours', interval '2 minutes' * power(2, f.attempts - 1))
+    end
+  where workspace_id = p_workspace_id and conversation_id = p_conversation_id
+  returning * into f;
+
+  return f;
+end;
+$$;
+
+-- ---------- raw_conversations ----------
+alter table public.raw_conversations
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.raw_conversations
+  drop constraint if exists raw_conversations_pkey,
+  add primary key (workspace_id, conversation_id, updated_at);
+
+drop view if exists public.raw_conversations_latest;
+
+create view public.raw_conversations_latest as
+select distinct on (workspace_id, conversation_id) *
+from public.raw_conversations
+order by workspace_id, conversation_id, updated_at desc;
+
+-- ---------- tickets ----------
+alter table public.tickets
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.tickets
+  drop constraint if exists tickets_pkey,
+  add primary key (workspace_id, ticket_id);
+
+-- ---------- upsert_replies: conflict on (workspace_id, part_id) ----------
+create or replace function public.upsert_replies(p_rows jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  cols text[];
+  col_list text;
+  set_list text;
+  n integer;
+begin
+  if p_rows is null or jsonb_array_length(p_rows) = 0 then
+    return 0;
+  end if;
+
+  select array_agg(c.column_name::text order by c.ordinal_position)
+  into cols
+  from information_schema.columns c
+  where c.table_schema = 'public'
+    and c.table_name = 'replies'
+    and c.column_name <> 'id'
+    and exists (
+      select 1 from jsonb_array_elements(p_rows) r where r ? c.column_name
+    );
+
+  if cols is null or not ('part_id' = any (cols)) or not ('workspace_id' = any (cols)) then
+    raise exception 'upsert_replies: rows must include workspace_id and part_id';
+  end if;
+
+  select string_agg(format('%I', c), ', ') into col_list from unnest(cols) c;
+
+  select string_agg(
+    format(
+      '%1$I = %2$s',
+      c,
+      case coalesce(p.rule, 'keep_non_null')
+        when 'latest_wins' then format('excluded.%I', c)
+        when 'first_write_wins' then format('coalesce(r.%1$I, excluded.%1$I)', c)
+        else format('coalesce(excluded.%1$I, r.%1$I)', c)
+      end
+    ),
+    ', '
+  )
+  into set_list
+  from unnest(cols) c
+  left join public.replies_merge_policy p on p.column_name = c
+  where c not in ('workspace_id', 'part_id');
+
+  execute format(
+    'insert into public.replies as r (%1$s)
+     select %1$s from jsonb_populate_recordset(null::public.replies, $1)
+     on conflict (workspace_id, part_id) do %2$s',
+    col_list,
+    case when set_list is null then 'nothing' else 'update set ' || set_list end
+  )
+  using p_rows;
+
+  get diagnostics n = row_count;
+  return n;
+end;
+$$;
+
+-- ---------- Views: join tone_scores to replies within a workspace ----------
+-- s.* gained workspace_id, so the view is recreated rather than replaced
+drop view if exists public.tone_scores_with_contacts;
+
+create view public.tone_scores_with_contacts as
+select
+  s.*,
+  r.contact_id,
+  c.external_id as contact_external_id,
+  c.role as contact_role,
+  c.country as contact_country,
+  c.region as contact_region,
+  c.city as contact_city,
+  c.custom_attributes as contact_custom_attributes,
+  (
+    select array_agg(co.name order by co.name)
+    from public.contact_companies cc
+    join public.companies co on co.company_id = cc.company_id
+    where cc.contact_id = r.contact_id
+  ) as contact_company_names,
+  (
+    select array_agg(co.plan order by co.plan)
+    from public.contact_companies cc
+    join public.companies co on co.company_id = cc.company_id
+    where cc.contact_id = r.contact_id
+  ) as contact_company_plans
+from public.tone_scores s
+join public.replies r on r.workspace_id = s.workspace_id and r.part_id = s.part_id
+left join public.contacts c on c.contact_id = r.contact_id;
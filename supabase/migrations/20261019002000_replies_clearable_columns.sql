@@ -0,0 +1,14 @@
+-- Columns of public.replies that Intercom can legitimately clear (all tags removed,
+-- conversation moved out of an inbox, HTML body gone, previous customer message
+-- deleted) merge latest_wins, so an empty value replaces the stored one. Columns
+-- not listed in replies_merge_policy stay keep_non_null.
+insert into public.replies_merge_policy (column_name, rule) values
+  ('tags', 'latest_wins'),
+  ('inbox', 'latest_wins'),
+  ('intercom_inbox_id', 'latest_wins'),
+  ('intercom_inbox_name', 'latest_wins'),
+  ('agent_reply_html', 'latest_wins'),
+  ('user_prev_message', 'latest_wins'),
+  ('user_prev_message_html', 'latest_wins'),
+  ('user_prev_message_created_at', 'latest_wins')
+on conflict (column_name) do update set rule = excluded.rule;
@@ -0,0 +1,8 @@
+-- reply_created_at was first_write_wins, so a wrong value written before the
+-- created_at fixes could never be corrected by a later write. Intercom's part
+-- created_at is authoritative: let rebuilds (scripts/intercom_backfill_replies.js
+-- after a REPLY_ROW_SCHEMA_VERSION bump, src/reprocess.js) overwrite it, while a
+-- null still never clears it.
+update public.replies_merge_policy
+set rule = 'keep_non_null'
+where column_name = 'reply_created_at';
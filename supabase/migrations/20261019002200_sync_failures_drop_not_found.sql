@@ -0,0 +1,5 @@
+-- Conversations that no longer exist in Intercom are now skipped instead of queued
+-- (src/lib/failures.js fetchConversationForSync). Drop the rows queued for them
+-- before that change, which would otherwise sit in sync_failures as dead forever.
+delete from public.sync_failures
+where error_class = 'IntercomNotFoundError';
@@ -0,0 +1,22 @@
+-- Ticket replies in public.replies were written with conversation_id set to the
+-- ticket id, which can collide with a real conversation id. They are identified by
+-- ticket_id alone now (tickets.linked_conversation_ids has the linked
+-- conversations), so conversation_id is null for them.
+alter table public.replies
+  alter column conversation_id drop not null;
+
+alter table public.tone_scores
+  alter column conversation_id drop not null;
+
+update public.tone_scores s
+set conversation_id = null
+from public.replies r
+where r.workspace_id = s.workspace_id
+  and r.part_id = s.part_id
+  and r.ticket_id is not null
+  and s.conversation_id = r.ticket_id;
+
+update public.replies
+set conversation_id = null
+where ticket_id is not null
+  and conversation_id = ticket_id;
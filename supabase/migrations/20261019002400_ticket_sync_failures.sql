@@ -0,0 +1,52 @@
+-- Tickets src/sync_tickets.js couldn't fetch go to sync_failures too, with
+-- kind = 'ticket' (conversation_id then holds the ticket id). sync.js/poll.js only
+-- retry kind = 'conversation'; sync_tickets.js retries its own rows.
+alter table public.sync_failures
+  add column if not exists kind text not null default 'conversation'
+    check (kind in ('conversation', 'ticket'));
+
+alter table public.sync_failures
+  drop constraint if exists sync_failures_pkey,
+  add primary key (workspace_id, kind, conversation_id);
+
+drop function if exists public.record_sync_failure(text, text, text, text, integer, text);
+
+create or replace function public.record_sync_failure(
+  p_conversation_id text,
+  p_source text,
+  p_error_class text,
+  p_error_message text,
+  p_max_attempts integer default 8,
+  p_workspace_id text default 'default',
+  p_kind text default 'conversation'
+)
+returns public.sync_failures
+language plpgsql
+as $$
+declare
+  f public.sync_failures;
+begin
+  insert into public.sync_failures as s (workspace_id, kind, conversation_id, source, error_class, error_message, attempts)
+  values (p_workspace_id, p_kind, p_conversation_id, p_source, p_error_class, left(p_error_message, 2000), 1)
+  on conflict (workspace_id, kind, conversation_id) do update
+  set
+    source = excluded.source,
+    error_class = excluded.error_class,
+    error_message = excluded.error_message,
+    attempts = s.attempts + 1,
+    last_failed_at = now()
+  returning * into f;
+
+  update public.sync_failures
+  set
+    status = case when f.attempts >= p_max_attempts then 'dead' else 'retrying' end,
+    next_retry_at = case
+      when f.attempts >= p_max_attempts then null
+      else now() + least(interval '12 hours', interval '2 minutes' * power(2, f.attempts - 1))
+    end
+  where workspace_id = p_workspace_id and kind = p_kind and conversation_id = p_conversation_id
+  returning * into f;
+
+  return f;
+end;
+$$;
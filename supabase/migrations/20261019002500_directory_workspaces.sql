@@ -0,0 +1,44 @@
+-- The admin/team directory is per Intercom workspace too: key intercom_admins and
+-- intercom_teams by (workspace_id, <id>), so src/sync_directory.js for one
+-- workspace never deactivates another workspace's admins, and join the directory
+-- views within a workspace. Existing rows belong to 'default'.
+alter table public.intercom_admins
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.intercom_admins
+  drop constraint if exists intercom_admins_pkey,
+  add primary key (workspace_id, admin_id);
+
+alter table public.intercom_teams
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.intercom_teams
+  drop constraint if exists intercom_teams_pkey,
+  add primary key (workspace_id, team_id);
+
+-- r.* / s.* gained workspace_id, so the views are recreated rather than replaced
+drop view if exists public.replies_with_directory;
+
+create view public.replies_with_directory as
+select
+  r.*,
+  ta.name as teammate_current_name,
+  ta.email as teammate_email,
+  aa.name as assignee_name,
+  tt.name as team_assignee_name
+from public.replies r
+left join public.intercom_admins ta on ta.workspace_id = r.workspace_id and ta.admin_id = r.teammate_id
+left join public.intercom_admins aa on aa.workspace_id = r.workspace_id and aa.admin_id = r.assignee_id
+left join public.intercom_teams tt on tt.workspace_id = r.workspace_id and tt.team_id = r.team_assignee_id;
+
+drop view if exists public.tone_scores_with_directory;
+
+create view public.tone_scores_with_directory as
+select
+  s.*,
+  coalesce(a.name, s.teammate_name) as teammate_current_name,
+  a.email as teammate_email,
+  a.team_ids as teammate_team_ids,
+  a.active as teammate_active
+from public.tone_scores s
+left join public.intercom_admins a on a.workspace_id = s.workspace_id and a.admin_id = s.teammate_id;
@@ -0,0 +1,207 @@
+-- Finish multi-workspace keying: the per-conversation, per-part and contact tables
+-- are keyed by (workspace_id, <intercom id>) like replies and conversations, and the
+-- views that join them match on workspace_id too. Existing rows belong to 'default'.
+
+-- ---------- conversation_messages ----------
+alter table public.conversation_messages
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.conversation_messages
+  drop constraint if exists conversation_messages_pkey,
+  add primary key (workspace_id, part_id);
+
+-- ---------- conversation_statistics ----------
+alter table public.conversation_statistics
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.conversation_statistics
+  drop constraint if exists conversation_statistics_pkey,
+  add primary key (workspace_id, conversation_id);
+
+-- ---------- conversation_tags / conversation_tag_events ----------
+alter table public.conversation_tags
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.conversation_tags
+  drop constraint if exists conversation_tags_pkey,
+  add primary key (workspace_id, conversation_id, tag_id);
+
+alter table public.conversation_tag_events
+  add column if not exists workspace_id text not null default 'default';
+
+drop index if exists public.conversation_tag_events_conversation_id_idx;
+create index if not exists conversation_tag_events_workspace_id_conversation_id_idx
+  on public.conversation_tag_events (workspace_id, conversation_id, occurred_at);
+
+-- ---------- conversation_ratings ----------
+alter table public.conversation_ratings
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.conversation_ratings
+  drop constraint if exists conversation_ratings_pkey,
+  add primary key (workspace_id, conversation_id);
+
+-- ---------- conversation_events ----------
+alter table public.conversation_events
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.conversation_events
+  drop constraint if exists conversation_events_pkey,
+  add primary key (workspace_id, part_id);
+
+-- ---------- conversation_attachments ----------
+-- Files archived from now on are stored under <workspace_id>/ in the bucket;
+-- rows archived earlier keep the storage_path they were written with.
+alter table public.conversation_attachments
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.conversation_attachments
+  drop constraint if exists conversation_attachments_pkey,
+  add primary key (workspace_id, part_id, position);
+
+-- ---------- ticket_parts ----------
+alter table public.ticket_parts
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.ticket_parts
+  drop constraint if exists ticket_parts_pkey,
+  add primary key (workspace_id, part_id);
+
+-- ---------- contacts / companies / contact_companies ----------
+alter table public.contacts
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.contacts
+  drop constraint if exists contacts_pkey,
+  add primary key (workspace_id, contact_id);
+
+alter table public.companies
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.companies
+  drop constraint if exists companies_pkey,
+  add primary key (workspace_id, company_id);
+
+alter table public.contact_companies
+  add column if not exists workspace_id text not null default 'default';
+
+alter table public.contact_companies
+  drop constraint if exists contact_companies_pkey,
+  add primary key (workspace_id, contact_id, company_id);
+
+-- ---------- Views ----------
+drop view if exists public.rating_tone_correlation;
+drop view if exists public.rating_tone_correlation_weekly;
+drop view if exists public.conversation_rating_tone;
+
+create view public.conversation_rating_tone as
+select
+  r.workspace_id,
+  r.conversation_id,
+  r.teammate_id,
+  r.rating,
+  r.remark,
+  r.rated_at,
+  date_trunc('week', r.rated_at) as rated_week,
+  count(s.part_id) as scored_replies,
+  avg(s.empathy)::numeric(4, 2) as avg_empathy,
+  avg(s.clarity)::numeric(4, 2) as avg_clarity,
+  avg(s.ownership)::numeric(4, 2) as avg_ownership,
+  avg(s.professionalism)::numeric(4, 2) as avg_professionalism
+from public.conversation_ratings r
+join public.tone_scores s
+  on s.workspace_id = r.workspace_id
+ and s.conversation_id = r.conversation_id
+ and s.teammate_id = r.teammate_id
+group by r.workspace_id, r.conversation_id, r.teammate_id, r.rating, r.remark, r.rated_at;
+
+create view public.rating_tone_correlation_weekly as
+select
+  t.workspace_id,
+  t.rated_week,
+  t.teammate_id,
+  a.name as teammate_name,
+  count(*) as rated_conversations,
+  avg(t.rating)::numeric(4, 2) as avg_rating,
+  avg(t.avg_empathy)::numeric(4, 2) as avg_empathy,
+  avg(t.avg_clarity)::numeric(4, 2) as avg_clarity,
+  avg(t.avg_ownership)::numeric(4, 2) as avg_ownership,
+  avg(t.avg_professionalism)::numeric(4, 2) as avg_professionalism,
+  corr(t.rating, t.avg_empathy)::numeric(4, 3) as corr_empathy,
+  corr(t.rating, t.avg_clarity)::numeric(4, 3) as corr_clarity,
+  corr(t.rating, t.avg_ownership)::numeric(4, 3) as corr_ownership,
+  corr(t.rating, t.avg_professionalism)::numeric(4, 3) as corr_professionalism
+from public.conversation_rating_tone t
+left join public.intercom_admins a on a.workspace_id = t.workspace_id and a.admin_id = t.teammate_id
+group by t.workspace_id, t.rated_week, t.teammate_id, a.name;
+
+-- Per teammate, plus one row per workspace with a null teammate_id (whole team)
+create view public.rating_tone_correlation as
+select
+  t.workspace_id,
+  t.teammate_id,
+  a.name as teammate_name,
+  count(*) as rated_conversations,
+  avg(t.rating)::numeric(4, 2) as avg_rating,
+  corr(t.rating, t.avg_empathy)::numeric(4, 3) as corr_empathy,
+  corr(t.rating, t.avg_clarity)::numeric(4, 3) as corr_clarity,
+  corr(t.rating, t.avg_ownership)::numeric(4, 3) as corr_ownership,
+  corr(t.rating, t.avg_professionalism)::numeric(4, 3) as corr_professionalism
+from public.conversation_rating_tone t
+left join public.intercom_admins a on a.workspace_id = t.workspace_id and a.admin_id = t.teammate_id
+group by grouping sets ((t.workspace_id, t.teammate_id, a.name), (t.workspace_id));
+
+drop view if exists public.conversation_event_intervals;
+
+create view public.conversation_event_intervals as
+select
+  e.*,
+  lead(e.occurred_at) over w as next_occurred_at,
+  extract(epoch from coalesce(lead(e.occurred_at) over w, now()) - e.occurred_at)::bigint as duration_seconds,
+  (
+    e.admin_assignee_before is not null
+    and e.admin_assignee_after is distinct from e.admin_assignee_before
+  ) as is_reassignment
+from public.conversation_events e
+window w as (partition by e.workspace_id, e.conversation_id order by e.occurred_at, e.part_id);
+
+drop view if exists public.reply_handling_by_author_type_weekly;
+
+create view public.reply_handling_by_author_type_weekly as
+select
+  workspace_id,
+  date_trunc('week', reply_created_at) as reply_week,
+  author_type,
+  count(*) as replies,
+  count(distinct conversation_id) as conversations
+from public.replies
+where author_type in ('admin', 'bot')
+group by 1, 2, 3;
+
+drop view if exists public.tone_scores_with_contacts;
+
+create view public.tone_scores_with_contacts as
+select
+  s.*,
+  r.contact_id,
+  c.external_id as contact_external_id,
+  c.role as contact_role,
+  c.country as contact_country,
+  c.region as contact_region,
+  c.city as contact_city,
+  c.custom_attributes as contact_custom_attributes,
+  (
+    select array_agg(co.name order by co.name)
+    from public.contact_companies cc
+    join public.companies co on co.workspace_id = cc.workspace_id and co.company_id = cc.company_id
+    where cc.workspace_id = r.workspace_id and cc.contact_id = r.contact_id
+  ) as contact_company_names,
+  (
+    select array_agg(co.plan order by co.plan)
+    from public.contact_companies cc
+    join public.companies co on co.workspace_id = cc.workspace_id and co.company_id = cc.company_id
+    where cc.workspace_id = r.workspace_id and cc.contact_id = r.contact_id
+  ) as contact_company_plans
+from public.tone_scores s
+join public.replies r on r.workspace_id = s.workspace_id and r.part_id = s.part_id
+left join public.contacts c on c.workspace_id = r.workspace_id and c.contact_id = r.contact_id;
@@ -0,0 +1,6 @@
+-- Ticket replies carried the ticket state label (e.g. 'Submitted') in
+-- replies.conversation_state, mixing ticket and conversation states in one column.
+-- They leave it null now; tickets.ticket_state has the ticket's state.
+update public.replies
+set conversation_state = null
+where ticket_id is not null;